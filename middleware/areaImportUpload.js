@@ -0,0 +1,74 @@
+// ===================================================================
+// AREA IMPORT UPLOAD MIDDLEWARE - GeoJSON, KML & CSV Zone Lists
+// ===================================================================
+// Import files are parsed straight from memory and never stored
+
+const multer = require('multer');
+const path = require('path');
+
+const MAX_FILE_SIZE = parseInt(process.env.AREA_IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB default
+
+// File extensions accepted for each import format
+const FORMAT_EXTENSIONS = {
+    '.geojson': 'geojson',
+    '.json': 'geojson',
+    '.kml': 'kml',
+    '.csv': 'csv'
+};
+
+// Import format for a file name, or null when it isn't one we read
+function getImportFormat(originalName) {
+    return FORMAT_EXTENSIONS[path.extname(originalName || '').toLowerCase()] || null;
+}
+
+// File filter for security
+const fileFilter = (req, file, cb) => {
+    if (getImportFormat(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only GeoJSON (.geojson, .json), KML (.kml) and CSV (.csv) files are allowed.'), false);
+    }
+};
+
+// Configure multer
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: 1
+    },
+    fileFilter: fileFilter
+});
+
+// Error handling middleware
+const handleAreaImportUploadError = (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: `File too large. Maximum size is ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB.`
+            });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload one file in the "file" field.'
+            });
+        }
+    }
+
+    if (error.message && error.message.includes('Invalid file type')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    next(error);
+};
+
+module.exports = {
+    uploadAreaFile: upload.single('file'),
+    handleAreaImportUploadError,
+    getImportFormat
+};
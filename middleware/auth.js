@@ -53,6 +53,23 @@ const authenticateUser = async (req, res, next) => {
     }
 };
 
+// Attach req.user when a valid user token is sent, but let anonymous requests through
+const identifyUser = async (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '') ||
+                 req.cookies?.token;
+
+    if (!token) return next();
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.userId || decoded.id).select('-password');
+        if (user && user.isActive) req.user = user;
+    } catch (error) {
+        // A bad or expired token is treated as anonymous on public routes
+    }
+    next();
+};
+
 // Verify JWT token for admins
 const authenticateAdmin = async (req, res, next) => {
     try {
@@ -86,6 +103,14 @@ const authenticateAdmin = async (req, res, next) => {
     }
 };
 
+// Accept the token as ?token= for clients that cannot set headers (EventSource)
+const allowQueryToken = (req, res, next) => {
+    if (!req.header('Authorization') && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
 // Check if user's phone is verified
 const requirePhoneVerification = (req, res, next) => {
     if (!req.user.isPhoneVerified) {
@@ -138,7 +163,9 @@ const generateToken = (payload, type = 'user') => {
 
 module.exports = {
     authenticateUser,
+    identifyUser,
     authenticateAdmin,
+    allowQueryToken,
     requirePhoneVerification,
     requireDocumentVerification,
     requirePermission,
@@ -0,0 +1,145 @@
+// ===================================================================
+// DEVICE AUTHENTICATION MIDDLEWARE - API Keys & HMAC Signatures
+// ===================================================================
+// Paired devices authenticate in one of two ways:
+//   API key:  Authorization: Device <keyId>:<secret>
+//   HMAC:     X-Device-Key: <keyId>
+//             X-Device-Timestamp: <unix seconds>
+//             X-Device-Nonce: <8-64 random characters, new for every request>
+//             X-Device-Signature: hex HMAC-SHA256(secret, "<timestamp>.<nonce>.<raw body>")
+// Signed requests older than DEVICE_SIGNATURE_WINDOW_SECONDS are refused,
+// and a nonce seen within the window is a replay and refused too.
+
+const crypto = require('crypto');
+const Device = require('../models/Device');
+const User = require('../models/User');
+
+const SIGNATURE_WINDOW_MS = (parseInt(process.env.DEVICE_SIGNATURE_WINDOW_SECONDS) || 300) * 1000;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// "<keyId>:<nonce>" -> time after which the nonce may be forgotten.
+// Insertion order is close to expiry order, so pruning stops early.
+const seenNonces = new Map();
+
+function pruneNonces(now) {
+    for (const [key, expiresAt] of seenNonces) {
+        if (expiresAt > now) break;
+        seenNonces.delete(key);
+    }
+}
+
+// Record a nonce; false when it was already used within the window
+function useNonce(keyId, nonce) {
+    const now = Date.now();
+    pruneNonces(now);
+
+    const key = `${keyId}:${nonce}`;
+    if (seenNonces.has(key)) return false;
+
+    // A request is accepted up to a window either side of now
+    seenNonces.set(key, now + 2 * SIGNATURE_WINDOW_MS);
+    return true;
+}
+
+function safeEqual(a, b) {
+    const expected = Buffer.from(a);
+    const actual = Buffer.from(b);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Keep the unparsed body of device requests so signatures can be checked
+// (passed as express.json's verify option)
+const captureRawBody = (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/devices')) {
+        req.rawBody = buf;
+    }
+};
+
+// Resolves with { keyId, verify(secret) } for the request's credentials, or null
+function readCredentials(req) {
+    const authorization = req.header('Authorization') || '';
+
+    if (authorization.startsWith('Device ')) {
+        const [keyId, secret] = authorization.slice('Device '.length).trim().split(':');
+        if (!keyId || !secret) return null;
+        return { keyId, verify: deviceSecret => safeEqual(deviceSecret, secret) };
+    }
+
+    const keyId = req.header('X-Device-Key');
+    const timestamp = req.header('X-Device-Timestamp');
+    const nonce = req.header('X-Device-Nonce');
+    const signature = req.header('X-Device-Signature');
+    if (!keyId || !timestamp || !nonce || !signature || !NONCE_PATTERN.test(nonce)) return null;
+
+    const signedAt = parseInt(timestamp) * 1000;
+    if (isNaN(signedAt) || Math.abs(Date.now() - signedAt) > SIGNATURE_WINDOW_MS) return null;
+
+    return {
+        keyId,
+        verify: deviceSecret => {
+            const expected = crypto.createHmac('sha256', deviceSecret)
+                .update(`${timestamp}.${nonce}.`)
+                .update(req.rawBody || '')
+                .digest('hex');
+            if (!safeEqual(expected, signature.toLowerCase())) return false;
+
+            // Only a correctly signed request can use up a nonce
+            if (!useNonce(keyId, nonce)) {
+                console.warn(`⚠️ Replayed device request refused for ${keyId}`);
+                return false;
+            }
+            return true;
+        }
+    };
+}
+
+// Verify a paired device and load it into req.device and its owner into req.user
+const authenticateDevice = async (req, res, next) => {
+    try {
+        const credentials = readCredentials(req);
+
+        if (!credentials) {
+            return res.status(401).json({
+                success: false,
+                message: 'Device credentials required.'
+            });
+        }
+
+        const device = await Device.findOne({ keyId: credentials.keyId, status: 'active' }).select('+secret');
+
+        if (!device || !credentials.verify(device.secret)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid device credentials.'
+            });
+        }
+
+        const user = await User.findById(device.userId).select('-password');
+
+        if (!user || !user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Device owner account is not active.'
+            });
+        }
+
+        await Device.updateOne({ _id: device._id }, { $set: { lastSeenAt: new Date() } });
+
+        device.secret = undefined;
+        req.device = device;
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('❌ Device authentication error:', error.message);
+        res.status(401).json({
+            success: false,
+            message: 'Invalid device credentials.'
+        });
+    }
+};
+
+module.exports = {
+    authenticateDevice,
+    captureRawBody
+};
@@ -0,0 +1,107 @@
+// ===================================================================
+// EVIDENCE UPLOAD MIDDLEWARE - Photos & Audio for SOS Incidents
+// ===================================================================
+// Multer configuration for incident evidence. Files are kept outside
+// public/ and only served through the access-checked download routes.
+
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Ensure evidence directory exists
+const evidenceDir = process.env.EVIDENCE_PATH || './storage/evidence';
+if (!fs.existsSync(evidenceDir)) {
+    fs.mkdirSync(evidenceDir, { recursive: true });
+}
+
+const MAX_FILE_SIZE = parseInt(process.env.EVIDENCE_MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
+
+// Allowed extensions and the MIME types each may be sent with
+const ALLOWED_TYPES = {
+    '.jpg': { kind: 'image', mimetypes: ['image/jpeg', 'image/jpg'] },
+    '.jpeg': { kind: 'image', mimetypes: ['image/jpeg', 'image/jpg'] },
+    '.png': { kind: 'image', mimetypes: ['image/png'] },
+    '.webp': { kind: 'image', mimetypes: ['image/webp'] },
+    '.heic': { kind: 'image', mimetypes: ['image/heic', 'image/heif'] },
+    '.mp3': { kind: 'audio', mimetypes: ['audio/mpeg', 'audio/mp3'] },
+    '.m4a': { kind: 'audio', mimetypes: ['audio/mp4', 'audio/x-m4a', 'audio/aac'] },
+    '.aac': { kind: 'audio', mimetypes: ['audio/aac', 'audio/x-aac'] },
+    '.ogg': { kind: 'audio', mimetypes: ['audio/ogg', 'audio/opus'] },
+    '.opus': { kind: 'audio', mimetypes: ['audio/ogg', 'audio/opus'] },
+    '.webm': { kind: 'audio', mimetypes: ['audio/webm'] },
+    '.wav': { kind: 'audio', mimetypes: ['audio/wav', 'audio/x-wav', 'audio/wave'] },
+    '.amr': { kind: 'audio', mimetypes: ['audio/amr'] },
+    '.3gp': { kind: 'audio', mimetypes: ['audio/3gpp'] }
+};
+
+// Returns 'image' / 'audio' when extension and MIME type agree, otherwise null
+function getEvidenceKind(originalName, mimetype) {
+    const allowed = ALLOWED_TYPES[path.extname(originalName || '').toLowerCase()];
+    return allowed && allowed.mimetypes.includes(mimetype) ? allowed.kind : null;
+}
+
+// Configure storage
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        cb(null, evidenceDir);
+    },
+    filename: (req, file, cb) => {
+        // Unguessable name; the original name is only kept in the database
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, `evidence-${crypto.randomBytes(16).toString('hex')}${ext}`);
+    }
+});
+
+// File filter for security
+const fileFilter = (req, file, cb) => {
+    if (getEvidenceKind(file.originalname, file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only photos (JPEG, PNG, WebP, HEIC) and audio clips (MP3, M4A, AAC, OGG, WebM, WAV, AMR, 3GP) are allowed.'), false);
+    }
+};
+
+// Configure multer
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: 1 // One attachment per upload
+    },
+    fileFilter: fileFilter
+});
+
+// Error handling middleware
+const handleEvidenceUploadError = (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: `File too large. Maximum size is ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB.`
+            });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload one file in the "file" field.'
+            });
+        }
+    }
+
+    if (error.message && error.message.includes('Invalid file type')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    next(error);
+};
+
+module.exports = {
+    uploadEvidence: upload.single('file'),
+    handleEvidenceUploadError,
+    getEvidenceKind,
+    evidenceDir
+};
@@ -0,0 +1,96 @@
+// ===================================================================
+// MIGRATION 001 - RestrictedArea location to GeoJSON Point
+// ===================================================================
+// Restricted areas used to store `location` as {latitude, longitude},
+// which the 2dsphere index cannot use. This rewrites each of them as a
+// GeoJSON Point ({type: 'Point', coordinates: [longitude, latitude]}) and
+// rebuilds the index.
+//
+// Usage: node migrations/001-restricted-area-geojson.js [--dry-run]
+// Safe to run more than once; already-migrated areas are left alone.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const RestrictedArea = require('../models/RestrictedArea');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Documents still in the old shape
+const LEGACY_FILTER = { 'location.latitude': { $exists: true } };
+
+async function dropLegacyIndex(collection) {
+    const indexes = await collection.indexes();
+    const legacy = indexes.find(index => index.key && index.key.location === '2dsphere');
+    if (!legacy) return;
+
+    if (dryRun) {
+        console.log(`🔍 Would drop index ${legacy.name}`);
+        return;
+    }
+
+    await collection.dropIndex(legacy.name);
+    console.log(`🗑️ Dropped index ${legacy.name}`);
+}
+
+async function migrate() {
+    const collection = RestrictedArea.collection;
+
+    const legacyCount = await collection.countDocuments(LEGACY_FILTER);
+    console.log(`📍 ${legacyCount} restricted area(s) to migrate`);
+
+    // Areas whose old coordinates are missing or out of range cannot become
+    // valid Points; report them and leave them for manual repair
+    const invalid = await collection.find({
+        ...LEGACY_FILTER,
+        $or: [
+            { 'location.latitude': { $not: { $gte: -90, $lte: 90 } } },
+            { 'location.longitude': { $not: { $gte: -180, $lte: 180 } } }
+        ]
+    }).project({ name: 1, location: 1 }).toArray();
+
+    invalid.forEach(area => {
+        console.warn(`⚠️ Skipping area ${area._id} (${area.name}): invalid coordinates`, area.location);
+    });
+
+    if (dryRun) {
+        await dropLegacyIndex(collection);
+        console.log(`🔍 Dry run: ${legacyCount - invalid.length} area(s) would be migrated`);
+        return;
+    }
+
+    // The old index was built over the wrong shape; drop it before rewriting
+    await dropLegacyIndex(collection);
+
+    const result = await collection.updateMany(
+        {
+            ...LEGACY_FILTER,
+            _id: { $nin: invalid.map(area => area._id) }
+        },
+        [{
+            $set: {
+                location: {
+                    type: 'Point',
+                    coordinates: ['$location.longitude', '$location.latitude']
+                }
+            }
+        }]
+    );
+    console.log(`✅ Migrated ${result.modifiedCount} restricted area(s)`);
+
+    if (invalid.length > 0) {
+        console.warn(`⚠️ ${invalid.length} area(s) were skipped; the 2dsphere index will not build until they are fixed`);
+        return;
+    }
+
+    await RestrictedArea.syncIndexes();
+    console.log('📊 RestrictedArea indexes rebuilt');
+}
+
+mongoose.connect(process.env.MONGODB_URI, { autoIndex: false })
+    .then(migrate)
+    .then(() => mongoose.disconnect())
+    .catch(async error => {
+        console.error('❌ Migration failed:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,43 @@
+// ===================================================================
+// MIGRATION 002 - Grant respond-sos to existing admins
+// ===================================================================
+// The incident console now requires the respond-sos permission. Admin
+// and responder accounts created before it existed never received it,
+// so this adds it to each of them.
+//
+// Usage: node migrations/002-grant-respond-sos.js [--dry-run]
+// Safe to run more than once; accounts that already have it are left alone.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// super-admins pass every permission check already
+const MISSING_FILTER = {
+    role: { $in: ['admin', 'responder'] },
+    permissions: { $ne: 'respond-sos' }
+};
+
+async function migrate() {
+    const admins = await Admin.find(MISSING_FILTER).select('username role');
+    console.log(`🔑 ${admins.length} admin account(s) without respond-sos`);
+
+    if (dryRun) {
+        admins.forEach(admin => console.log(`🔍 Would grant respond-sos to ${admin.username} (${admin.role})`));
+        return;
+    }
+
+    const result = await Admin.updateMany(MISSING_FILTER, { $addToSet: { permissions: 'respond-sos' } });
+    console.log(`✅ Granted respond-sos to ${result.modifiedCount} admin account(s)`);
+}
+
+mongoose.connect(process.env.MONGODB_URI, { autoIndex: false })
+    .then(migrate)
+    .then(() => mongoose.disconnect())
+    .catch(async error => {
+        console.error('❌ Migration failed:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -31,12 +31,12 @@ const adminSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'super-admin'],
+        enum: ['admin', 'super-admin', 'responder'],
         default: 'admin'
     },
     permissions: [{
         type: String,
-        enum: ['verify-documents', 'manage-users', 'view-reports', 'system-settings']
+        enum: ['verify-documents', 'manage-users', 'view-reports', 'system-settings', 'respond-sos']
     }],
     isActive: {
         type: Boolean,
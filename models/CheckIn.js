@@ -0,0 +1,84 @@
+// ===================================================================
+// CHECK-IN MODEL - Scheduled Safety Check-ins
+// ===================================================================
+// A tourist promises to check in by a deadline; if they miss it (plus
+// the grace period) an SOS is raised on their behalf.
+
+const mongoose = require('mongoose');
+
+const checkInSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expectedAt: {
+        type: Date,
+        required: [true, 'Check-in time is required']
+    },
+    graceMinutes: {
+        type: Number,
+        min: 0,
+        max: 240,
+        default: 30
+    },
+    destination: {
+        name: { type: String, trim: true },
+        latitude: { type: Number },
+        longitude: { type: Number }
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'completed', 'cancelled', 'triggered'],
+        default: 'scheduled'
+    },
+    // Due times swept by the scheduler; kept in the document so they survive restarts
+    reminderAt: {
+        type: Date
+    },
+    reminderSentAt: {
+        type: Date
+    },
+    triggerAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    sosLogId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SOSLog'
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+checkInSchema.index({ userId: 1, expectedAt: -1 });
+checkInSchema.index({ status: 1, triggerAt: 1 });
+checkInSchema.index({ status: 1, reminderAt: 1, reminderSentAt: 1 });
+
+// Minutes before the deadline the tourist is reminded to check in
+const REMINDER_MINUTES = parseFloat(process.env.CHECKIN_REMINDER_MINUTES) || 15;
+
+// Method to (re)compute the reminder and trigger times from expectedAt
+checkInSchema.methods.schedule = function(expectedAt, graceMinutes) {
+    if (expectedAt) this.expectedAt = expectedAt;
+    if (graceMinutes != null) this.graceMinutes = graceMinutes;
+
+    const expected = this.expectedAt.getTime();
+    this.reminderAt = new Date(Math.max(expected - REMINDER_MINUTES * 60 * 1000, Date.now()));
+    this.reminderSentAt = undefined;
+    this.triggerAt = new Date(expected + this.graceMinutes * 60 * 1000);
+    return this;
+};
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
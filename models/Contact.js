@@ -3,6 +3,7 @@
 // ===================================================================
 
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../services/messageTemplates');
 
 const contactSchema = new mongoose.Schema({
     userId: {
@@ -29,6 +30,20 @@ const contactSchema = new mongoose.Schema({
         trim: true,
         lowercase: true
     },
+    // Language and IANA timezone for alerts sent to this contact
+    language: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    timeZone: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: value => !value || isValidTimeZone(value),
+            message: 'Invalid timezone'
+        }
+    },
     isPrimary: {
         type: Boolean,
         default: false
@@ -0,0 +1,190 @@
+// ===================================================================
+// DEVICE MODEL - Panic Buttons & Wearables
+// ===================================================================
+// A hardware SOS trigger paired with a tourist account. Devices
+// authenticate with their keyId and a shared secret, sent either as an
+// API key or as an HMAC signature over each request.
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PAIRING_TTL_MS = (parseFloat(process.env.DEVICE_PAIRING_MINUTES) || 10) * 60 * 1000;
+
+// Wrong pairing attempts against one code before it stops working
+const MAX_PAIRING_ATTEMPTS = parseInt(process.env.DEVICE_PAIRING_MAX_ATTEMPTS) || 5;
+
+// A device that has not been heard from for this long is reported as silent
+const SILENT_AFTER_MS = (parseFloat(process.env.DEVICE_SILENT_MINUTES) || 180) * 60 * 1000;
+
+const LOW_BATTERY_PERCENT = parseInt(process.env.DEVICE_LOW_BATTERY_PERCENT) || 20;
+
+// Pairing codes are typed by hand, so skip look-alike characters
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// The first characters of a code identify it, so a wrong guess at the
+// rest counts against (and can lock) that code
+const PAIRING_LOOKUP_LENGTH = 4;
+
+function normalizePairingCode(code) {
+    return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+function hashPairingCode(code) {
+    return crypto.createHash('sha256').update(normalizePairingCode(code)).digest('hex');
+}
+
+function getPairingLookup(code) {
+    return normalizePairingCode(code).slice(0, PAIRING_LOOKUP_LENGTH);
+}
+
+const deviceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    type: {
+        type: String,
+        enum: ['panic-button', 'wearable', 'other'],
+        default: 'panic-button'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'revoked'],
+        default: 'pending'
+    },
+    // Public identifier the device sends with every request
+    keyId: {
+        type: String
+    },
+    // Shared secret; kept in the clear because HMAC verification needs it
+    secret: {
+        type: String,
+        select: false
+    },
+    pairing: {
+        codeHash: { type: String, select: false },
+        lookup: { type: String, select: false },
+        expiresAt: { type: Date },
+        failedAttempts: { type: Number, default: 0 }
+    },
+    hardwareId: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    model: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    firmwareVersion: {
+        type: String,
+        trim: true,
+        maxlength: 40
+    },
+    pairedAt: Date,
+    revokedAt: Date,
+    lastSeenAt: Date,
+    lastHeartbeatAt: Date,
+    battery: {
+        level: { type: Number, min: 0, max: 100 },
+        charging: { type: Boolean },
+        reportedAt: { type: Date }
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+deviceSchema.index({ userId: 1, createdAt: -1 });
+deviceSchema.index({ keyId: 1 }, { unique: true, sparse: true });
+deviceSchema.index({ 'pairing.codeHash': 1 }, { sparse: true });
+deviceSchema.index({ 'pairing.lookup': 1 }, { sparse: true });
+deviceSchema.index({ status: 1, lastSeenAt: 1 });
+
+deviceSchema.statics.SILENT_AFTER_MS = SILENT_AFTER_MS;
+deviceSchema.statics.LOW_BATTERY_PERCENT = LOW_BATTERY_PERCENT;
+deviceSchema.statics.MAX_PAIRING_ATTEMPTS = MAX_PAIRING_ATTEMPTS;
+deviceSchema.statics.hashPairingCode = hashPairingCode;
+deviceSchema.statics.getPairingLookup = getPairingLookup;
+
+// Virtual for whether an active device has stopped reporting
+deviceSchema.virtual('isSilent').get(function() {
+    if (this.status !== 'active') return false;
+    const lastSeen = this.lastSeenAt || this.pairedAt;
+    return !lastSeen || lastSeen.getTime() < Date.now() - SILENT_AFTER_MS;
+});
+
+// Static filter for active devices that have stopped reporting
+deviceSchema.statics.silentFilter = function() {
+    return {
+        status: 'active',
+        $or: [
+            { lastSeenAt: null },
+            { lastSeenAt: { $lt: new Date(Date.now() - SILENT_AFTER_MS) } }
+        ]
+    };
+};
+
+// Method to start pairing; returns the code to show the user (caller saves)
+deviceSchema.methods.issuePairingCode = function() {
+    const bytes = crypto.randomBytes(8);
+    const code = Array.from(bytes, byte => PAIRING_ALPHABET[byte % PAIRING_ALPHABET.length]).join('');
+
+    this.pairing = {
+        codeHash: hashPairingCode(code),
+        lookup: getPairingLookup(code),
+        expiresAt: new Date(Date.now() + PAIRING_TTL_MS),
+        failedAttempts: 0
+    };
+
+    return code;
+};
+
+// Method to complete pairing; returns the secret to hand to the device once (caller saves)
+deviceSchema.methods.activate = function({ hardwareId, model, firmwareVersion } = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    this.keyId = `dev_${crypto.randomBytes(12).toString('hex')}`;
+    this.secret = secret;
+    this.status = 'active';
+    this.pairedAt = new Date();
+    this.lastSeenAt = this.pairedAt;
+    this.pairing = undefined;
+    if (hardwareId) this.hardwareId = hardwareId;
+    if (model) this.model = model;
+    if (firmwareVersion) this.firmwareVersion = firmwareVersion;
+
+    return secret;
+};
+
+// Method to get the device as shown to its owner and admins
+deviceSchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        type: this.type,
+        status: this.status,
+        keyId: this.keyId,
+        hardwareId: this.hardwareId,
+        model: this.model,
+        firmwareVersion: this.firmwareVersion,
+        pairedAt: this.pairedAt,
+        pairingExpiresAt: this.status === 'pending' && this.pairing ? this.pairing.expiresAt : undefined,
+        pairingLocked: this.status === 'pending' && this.pairing ? this.pairing.failedAttempts >= MAX_PAIRING_ATTEMPTS : undefined,
+        lastSeenAt: this.lastSeenAt,
+        lastHeartbeatAt: this.lastHeartbeatAt,
+        battery: this.battery,
+        isSilent: this.isSilent,
+        isLowBattery: !!(this.battery && this.battery.level != null && this.battery.level <= LOW_BATTERY_PERCENT)
+    };
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
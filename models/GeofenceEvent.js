@@ -0,0 +1,68 @@
+// ===================================================================
+// GEOFENCE EVENT MODEL - Restricted Area Entries & Exits
+// ===================================================================
+// Log of tourists crossing into and out of restricted areas, for admins
+
+const mongoose = require('mongoose');
+
+const geofenceEventSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    username: {
+        type: String
+    },
+    type: {
+        type: String,
+        enum: ['entry', 'exit'],
+        required: true
+    },
+    areaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RestrictedArea',
+        required: true
+    },
+    // Copied so the log still reads correctly after the area changes
+    areaName: {
+        type: String
+    },
+    severity: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical']
+    },
+    category: {
+        type: String
+    },
+    location: {
+        latitude: Number,
+        longitude: Number,
+        accuracy: Number
+    },
+    at: {
+        type: Date,
+        required: true
+    },
+    // Seconds spent inside, for exits
+    durationSeconds: {
+        type: Number
+    },
+    // Warning pushed to the tourist on entry into a high/critical area
+    warning: {
+        sent: { type: Boolean, default: false },
+        channel: { type: String },
+        error: { type: String },
+        skippedReason: { type: String }
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+geofenceEventSchema.index({ at: -1 });
+geofenceEventSchema.index({ userId: 1, at: -1 });
+geofenceEventSchema.index({ areaId: 1, at: -1 });
+geofenceEventSchema.index({ severity: 1, type: 1, at: -1 });
+
+module.exports = mongoose.model('GeofenceEvent', geofenceEventSchema);
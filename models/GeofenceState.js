@@ -0,0 +1,38 @@
+// ===================================================================
+// GEOFENCE STATE MODEL - Which Restricted Areas a Tourist Is In
+// ===================================================================
+// One document per user, updated from their location pings. Entry and
+// exit events are worked out by comparing each ping with this state.
+
+const mongoose = require('mongoose');
+
+const geofenceStateSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // Areas the user was inside at their latest ping
+    inside: [{
+        _id: false,
+        areaId: { type: mongoose.Schema.Types.ObjectId, ref: 'RestrictedArea', required: true },
+        enteredAt: { type: Date, required: true }
+    }],
+    // Time of the latest ping applied; older pings arriving late are ignored
+    lastPingAt: {
+        type: Date
+    },
+    lastLocation: {
+        latitude: Number,
+        longitude: Number,
+        accuracy: Number
+    }
+}, {
+    timestamps: true
+});
+
+// Index for finding everyone currently inside an area
+geofenceStateSchema.index({ 'inside.areaId': 1 });
+
+module.exports = mongoose.model('GeofenceState', geofenceStateSchema);
@@ -0,0 +1,58 @@
+// ===================================================================
+// NOTIFICATION TEST MODEL - Diagnostics Send Log
+// ===================================================================
+// One record per test message sent from the admin diagnostics console
+
+const mongoose = require('mongoose');
+
+const notificationTestSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['sms', 'email'],
+        required: true
+    },
+    transport: {
+        type: String
+    },
+    to: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Account the test went to; tests may only target verified recipients
+    recipient: {
+        kind: { type: String, enum: ['user', 'admin'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, required: true },
+        name: { type: String }
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'failed'],
+        required: true
+    },
+    providerMessageId: {
+        type: String
+    },
+    providerStatus: {
+        type: String
+    },
+    error: {
+        type: String
+    },
+    durationMs: {
+        type: Number
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+notificationTestSchema.index({ createdAt: -1 });
+notificationTestSchema.index({ channel: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationTest', notificationTestSchema);
@@ -0,0 +1,37 @@
+// ===================================================================
+// OUTBOX MESSAGE MODEL - Locally Captured Notifications
+// ===================================================================
+// Messages written by the outbox transport instead of being sent out
+
+const mongoose = require('mongoose');
+
+const outboxMessageSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['sms', 'email'],
+        required: true
+    },
+    to: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    subject: {
+        type: String
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    meta: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: true
+});
+
+// Index for browsing the outbox per recipient
+outboxMessageSchema.index({ to: 1, createdAt: -1 });
+outboxMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
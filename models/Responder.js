@@ -0,0 +1,79 @@
+// ===================================================================
+// RESPONDER MODEL - Emergency Agencies & Jurisdictions
+// ===================================================================
+// Police stations, tourist police, hospitals and disaster response
+// units, with the area they cover and how to reach them
+
+const mongoose = require('mongoose');
+const { isClosedRing } = require('../utils/geo');
+
+const responderSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    agencyType: {
+        type: String,
+        required: [true, 'Agency type is required'],
+        enum: ['police', 'tourist_police', 'hospital', 'disaster_response']
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    // GeoJSON coverage area (jurisdiction)
+    jurisdiction: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon']
+        },
+        coordinates: {
+            type: Array,
+            validate: {
+                validator: function(coordinates) {
+                    if (!this.jurisdiction || !this.jurisdiction.type) return true;
+                    const polygons = this.jurisdiction.type === 'Polygon' ? [coordinates] : coordinates;
+                    return Array.isArray(polygons) && polygons.length > 0 &&
+                        polygons.every(polygon => Array.isArray(polygon) && polygon.every(isClosedRing));
+                },
+                message: 'Jurisdiction rings must be closed and have at least 4 positions'
+            }
+        }
+    },
+    // Fallback responders receive alerts when no jurisdiction contains the location
+    isFallback: {
+        type: Boolean,
+        default: false
+    },
+    contactChannels: [{
+        _id: false,
+        channel: {
+            type: String,
+            enum: ['sms', 'email'],
+            required: true
+        },
+        address: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        label: String
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+// Index for jurisdiction lookups
+responderSchema.index({ jurisdiction: '2dsphere' });
+responderSchema.index({ agencyType: 1, isActive: 1 });
+
+module.exports = mongoose.model('Responder', responderSchema);
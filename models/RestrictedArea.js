@@ -4,6 +4,10 @@
 // Database model for storing user-defined restricted areas
 
 const mongoose = require('mongoose');
+const { validatePolygonGeometry, isPointInGeometry, distanceBetween, getGeometryCentre } = require('../utils/geo');
+
+const MAX_RADIUS = 50000; // meters
+const REPORT_REASONS = ['inaccurate', 'no-longer-restricted', 'duplicate', 'inappropriate', 'other'];
 
 const restrictedAreaSchema = new mongoose.Schema({
     name: {
@@ -15,25 +19,50 @@ const restrictedAreaSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Circles are a centre plus radius; polygons use geometry
+    shape: {
+        type: String,
+        enum: ['circle', 'polygon'],
+        default: 'circle'
+    },
+    // GeoJSON Point of the area's centre; coordinates are [longitude, latitude].
+    // Polygon areas keep the centre of their bounding box here for map markers.
     location: {
-        latitude: {
-            type: Number,
-            required: true,
-            min: -90,
-            max: 90
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point',
+            required: true
         },
-        longitude: {
-            type: Number,
+        coordinates: {
+            type: [Number],
             required: true,
-            min: -180,
-            max: 180
+            validate: {
+                validator: function(coordinates) {
+                    return coordinates.length === 2 &&
+                        coordinates[0] >= -180 && coordinates[0] <= 180 &&
+                        coordinates[1] >= -90 && coordinates[1] <= 90;
+                },
+                message: 'Location must be [longitude, latitude] within valid ranges'
+            }
         }
     },
     radius: {
         type: Number,
         default: 1000, // meters
         min: 100,
-        max: 50000
+        max: MAX_RADIUS
+    },
+    // GeoJSON Polygon or MultiPolygon, for polygon areas only
+    geometry: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon']
+        },
+        coordinates: {
+            type: Array,
+            default: undefined
+        }
     },
     severity: {
         type: String,
@@ -49,10 +78,45 @@ const restrictedAreaSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Tourist who submitted the area; admin-created areas set createdByAdmin instead
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        required: function() {
+            return !this.createdByAdmin;
+        }
+    },
+    createdByAdmin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    // Moderation: tourist submissions are public only once approved
+    reviewStatus: {
+        type: String,
+        enum: ['submitted', 'approved', 'rejected'],
+        default: 'submitted'
+    },
+    review: {
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+        at: { type: Date },
+        note: { type: String, trim: true, maxlength: 500 }
+    },
+    // "Report this area" flags from tourists on published areas
+    reports: [{
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        reason: {
+            type: String,
+            enum: REPORT_REASONS,
+            required: true
+        },
+        note: { type: String, trim: true, maxlength: 500 },
+        at: { type: Date, default: Date.now },
+        status: { type: String, enum: ['open', 'dismissed', 'upheld'], default: 'open' }
+    }],
+    openReports: {
+        type: Number,
+        default: 0
     },
     validFrom: {
         type: Date,
@@ -66,12 +130,153 @@ const restrictedAreaSchema = new mongoose.Schema({
         default: 'This area is restricted for safety reasons. Please avoid entering.'
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+restrictedAreaSchema.statics.MAX_RADIUS = MAX_RADIUS;
+restrictedAreaSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+// Polygons must be well formed, and take their centre from their outline
+restrictedAreaSchema.pre('validate', function(next) {
+    if (this.shape === 'polygon') {
+        const error = validatePolygonGeometry(this.geometry);
+        if (error) {
+            this.invalidate('geometry', error);
+            return next();
+        }
+        this.location = { type: 'Point', coordinates: getGeometryCentre(this.geometry) };
+        this.radius = undefined;
+    } else {
+        this.geometry = undefined;
+    }
+    next();
+});
+
+// Build a GeoJSON Point from a latitude/longitude pair
+restrictedAreaSchema.statics.toPoint = function(latitude, longitude) {
+    return { type: 'Point', coordinates: [parseFloat(longitude), parseFloat(latitude)] };
+};
+
+// Fields only the creator and admins should see
+restrictedAreaSchema.statics.PRIVATE_PROJECTION = { createdBy: 0, createdByAdmin: 0, review: 0, reports: 0, __v: 0 };
+
+// Areas that are switched on, have started, have not expired and are
+// published. Areas from before moderation have no reviewStatus and stay
+// public. With a viewerId, that user's own areas still awaiting review
+// are included.
+restrictedAreaSchema.statics.activeFilter = function({ viewerId, now = new Date() } = {}) {
+    const published = { reviewStatus: { $nin: ['submitted', 'rejected'] } };
+
+    return {
+        isActive: true,
+        $and: [
+            {
+                $or: [
+                    { validFrom: null },
+                    { validFrom: { $lte: now } }
+                ]
+            },
+            {
+                $or: [
+                    { validUntil: { $exists: false } },
+                    { validUntil: { $gte: now } }
+                ]
+            },
+            viewerId
+                ? { $or: [published, { createdBy: viewerId, reviewStatus: 'submitted' }] }
+                : published
+        ]
+    };
+};
+
+// Active areas whose edge is within `distance` meters of a coordinate,
+// nearest edge first. Each result carries `distance` (to the centre),
+// `distanceToEdge` (0 when inside) and `inside`.
+restrictedAreaSchema.statics.findNearby = async function(latitude, longitude, { distance = 5000, limit = 50, viewerId, filter = {} } = {}) {
+    const near = this.toPoint(latitude, longitude);
+    const query = { ...this.activeFilter({ viewerId }), ...filter };
+
+    // Circles: widen the search by the largest possible radius so areas
+    // whose centre is further away but whose edge is close are found
+    const circles = await this.aggregate([
+        {
+            $geoNear: {
+                near,
+                key: 'location',
+                distanceField: 'distance',
+                maxDistance: distance + MAX_RADIUS,
+                spherical: true,
+                query: { ...query, shape: { $ne: 'polygon' } }
+            }
+        },
+        {
+            $addFields: {
+                distanceToEdge: { $max: [0, { $subtract: ['$distance', '$radius'] }] },
+                inside: { $lte: ['$distance', '$radius'] }
+            }
+        },
+        { $match: { distanceToEdge: { $lte: distance } } },
+        { $limit: limit },
+        { $project: this.PRIVATE_PROJECTION }
+    ]);
+
+    // Polygons: MongoDB measures to the nearest point of the shape, 0 inside
+    const polygons = await this.aggregate([
+        {
+            $geoNear: {
+                near,
+                key: 'geometry',
+                distanceField: 'distanceToEdge',
+                maxDistance: distance,
+                spherical: true,
+                query: { ...query, shape: 'polygon' }
+            }
+        },
+        { $limit: limit },
+        { $project: this.PRIVATE_PROJECTION }
+    ]);
+
+    polygons.forEach(area => {
+        area.distance = distanceBetween(near.coordinates, area.location.coordinates);
+        area.inside = area.distanceToEdge === 0;
+    });
+
+    return circles.concat(polygons)
+        .sort((a, b) => a.distanceToEdge - b.distanceToEdge || a.distance - b.distance)
+        .slice(0, limit);
+};
+
+// Active areas, of either shape, that contain a coordinate
+restrictedAreaSchema.statics.findContaining = async function(latitude, longitude, { viewerId, filter = {} } = {}) {
+    const areas = await this.findNearby(latitude, longitude, { distance: 0, limit: 200, viewerId, filter });
+    return areas.filter(area => area.inside);
+};
+
+// Whether a [longitude, latitude] position lies inside this area
+restrictedAreaSchema.methods.containsPoint = function(position) {
+    if (this.shape === 'polygon') {
+        return isPointInGeometry(position, this.geometry);
+    }
+    return distanceBetween(position, this.location.coordinates) <= this.radius;
+};
+
+// Plain latitude/longitude for clients that predate GeoJSON
+restrictedAreaSchema.virtual('latitude').get(function() {
+    return this.location && this.location.coordinates ? this.location.coordinates[1] : undefined;
+});
+
+restrictedAreaSchema.virtual('longitude').get(function() {
+    return this.location && this.location.coordinates ? this.location.coordinates[0] : undefined;
 });
 
 // Index for efficient geospatial queries
 restrictedAreaSchema.index({ "location": "2dsphere" });
+restrictedAreaSchema.index({ "geometry": "2dsphere" });
 restrictedAreaSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
 restrictedAreaSchema.index({ createdBy: 1 });
+restrictedAreaSchema.index({ reviewStatus: 1, createdAt: 1 });
+restrictedAreaSchema.index({ openReports: -1 });
 
 module.exports = mongoose.model('RestrictedArea', restrictedAreaSchema);
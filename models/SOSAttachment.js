@@ -0,0 +1,74 @@
+// ===================================================================
+// SOS ATTACHMENT MODEL - Evidence Photos & Audio for Incidents
+// ===================================================================
+// Metadata for a file uploaded against an SOS incident; the file itself
+// lives in the private evidence directory
+
+const mongoose = require('mongoose');
+
+const sosAttachmentSchema = new mongoose.Schema({
+    sosLogId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SOSLog',
+        required: true
+    },
+    uploadedBy: {
+        kind: {
+            type: String,
+            enum: ['user', 'admin', 'responder'],
+            required: true
+        },
+        id: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String }
+    },
+    kind: {
+        type: String,
+        enum: ['image', 'audio'],
+        required: true
+    },
+    // Stored file name in the evidence directory; never sent to clients
+    filename: {
+        type: String,
+        required: true,
+        select: false
+    },
+    originalName: {
+        type: String,
+        trim: true
+    },
+    mimetype: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Digest of the file as received, so tampering can be detected later
+    sha256: {
+        type: String,
+        required: true
+    },
+    caption: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+sosAttachmentSchema.index({ sosLogId: 1, createdAt: 1 });
+
+// Static to get an incident's attachment count and total size (for quotas)
+sosAttachmentSchema.statics.getUsage = async function(sosLogId) {
+    const [usage] = await this.aggregate([
+        { $match: { sosLogId: new mongoose.Types.ObjectId(sosLogId) } },
+        { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ]);
+
+    return usage ? { count: usage.count, bytes: usage.bytes } : { count: 0, bytes: 0 };
+};
+
+module.exports = mongoose.model('SOSAttachment', sosAttachmentSchema);
@@ -5,6 +5,62 @@
 
 const mongoose = require('mongoose');
 
+// Per-recipient delivery record for outgoing alert messages
+const deliverySchema = new mongoose.Schema({
+    recipient: { type: String, required: true },
+    name: { type: String },
+    role: {
+        type: String,
+        enum: ['user', 'contact', 'responder'],
+        required: true
+    },
+    responderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Responder'
+    },
+    channel: {
+        type: String,
+        enum: ['sms', 'email'],
+        default: 'sms'
+    },
+    body: { type: String, required: true },
+    language: { type: String },
+    transport: { type: String },
+    attempts: { type: Number, default: 0 },
+    providerMessageId: { type: String },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'delivered', 'failed'],
+        default: 'pending'
+    },
+    lastError: { type: String },
+    lastAttemptAt: { type: Date },
+    nextAttemptAt: { type: Date },
+    deliveredAt: { type: Date },
+    acknowledgedAt: { type: Date }
+});
+
+// Append-only record of what happened to an incident and who did it
+const timelineEntrySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['created', 'status', 'notified', 'acknowledgement', 'location', 'note', 'duress', 'tracking', 'attachment', 'retrigger', 'throttled'],
+        required: true
+    },
+    message: { type: String, required: true, maxlength: 1000 },
+    author: {
+        kind: {
+            type: String,
+            enum: ['system', 'user', 'admin', 'contact', 'responder', 'device'],
+            default: 'system'
+        },
+        id: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String }
+    },
+    data: { type: mongoose.Schema.Types.Mixed },
+    at: { type: Date, default: Date.now }
+});
+
 const sosLogSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -23,6 +79,16 @@ const sosLogSchema = new mongoose.Schema({
         longitude: { type: Number },
         accuracy: { type: Number }
     },
+    locationTrail: [{
+        _id: false,
+        latitude: { type: Number, required: true },
+        longitude: { type: Number, required: true },
+        accuracy: { type: Number },
+        recordedAt: { type: Date, default: Date.now }
+    }],
+    lastLocationAt: {
+        type: Date
+    },
     timestamp: {
         type: Date,
         default: Date.now,
@@ -30,7 +96,7 @@ const sosLogSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'resolved', 'cancelled'],
+        enum: ['active', 'acknowledged', 'en-route', 'resolved', 'cancelled', 'false-alarm'],
         default: 'active'
     },
     alertType: {
@@ -38,27 +104,401 @@ const sosLogSchema = new mongoose.Schema({
         enum: ['emergency', 'medical', 'security', 'natural_disaster'],
         default: 'emergency'
     },
+    // Where the tourist says they are, e.g. from an SMS "HELP <location>"
+    locationDescription: {
+        type: String,
+        trim: true,
+        maxlength: 160
+    },
+    // How the alert was raised: in the app, by SMS keyword, by a missed check-in or from a paired device
+    source: {
+        type: String,
+        enum: ['app', 'sms', 'checkin', 'device'],
+        default: 'app'
+    },
+    checkInId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CheckIn'
+    },
+    // Panic button or wearable that raised the alert
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device'
+    },
+    // Practice incident: runs the full response flow, but every outgoing
+    // message is captured in the outbox and it never counts in statistics
+    isDrill: {
+        type: Boolean,
+        default: false
+    },
+    drill: {
+        startedBy: {
+            kind: { type: String, enum: ['user', 'admin'] },
+            id: { type: mongoose.Schema.Types.ObjectId },
+            name: { type: String }
+        },
+        scenario: { type: String, trim: true, maxlength: 500 }
+    },
+    // Client-generated ID, so a retried or offline-queued submission creates one alert
+    clientAlertId: {
+        type: String,
+        trim: true
+    },
+    // When the device says the alert was raised, as reported
+    deviceTimestamp: {
+        type: Date
+    },
     emergencyContacts: [{
         name: String,
         phone: String,
         relationship: String
     }],
+    deliveries: [deliverySchema],
+    acknowledgements: [{
+        _id: false,
+        name: String,
+        recipient: String,
+        role: { type: String, enum: ['contact', 'responder'] },
+        channel: { type: String, enum: ['sms', 'link'] },
+        message: String,
+        acknowledgedAt: { type: Date, default: Date.now }
+    }],
+    // Set when the tourist "cancels" with their duress PIN: the alert looks
+    // cancelled to the tourist but stays open and escalates to responders
+    duress: {
+        triggeredAt: { type: Date }
+    },
+    // False-alarm history of the user when the alert was raised, for responders
+    abuse: {
+        score: { type: Number },
+        cancelled: { type: Number },
+        falseAlarms: { type: Number },
+        whitelisted: { type: Boolean },
+        // Raised over a rate limit: kept for operators but only sent to responders
+        throttled: { type: Boolean },
+        throttleReason: { type: String, enum: ['user-rate', 'device-rate', 'false-alarm-history'] }
+    },
+    // Further triggers merged into this alert during the cooldown
+    retriggerCount: {
+        type: Number,
+        default: 0
+    },
+    lastRetriggeredAt: {
+        type: Date
+    },
+    // PINs tried when cancelling; the tourist is locked out at the limit
+    cancelPinAttempts: {
+        type: Number,
+        default: 0
+    },
+    // Public live-tracking link shared with emergency contacts
+    tracking: {
+        token: { type: String, select: false },
+        expiresAt: { type: Date },
+        revokedAt: { type: Date },
+        revokedBy: { type: String, enum: ['user', 'admin'] }
+    },
+    // Escalation state, persisted so pending tiers survive a restart
+    escalation: {
+        tiers: [[String]],
+        currentTier: { type: Number, default: -1 },
+        nextEscalationAt: { type: Date },
+        history: [{
+            _id: false,
+            tier: Number,
+            audiences: [String],
+            recipientCount: Number,
+            notifiedAt: { type: Date, default: Date.now }
+        }]
+    },
     responseTime: {
         type: Date
     },
+    acknowledgedAt: {
+        type: Date
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    closedAt: {
+        type: Date
+    },
+    cancelledBy: {
+        type: String,
+        enum: ['user', 'admin']
+    },
     resolvedBy: {
         type: String
     },
+    // Legacy single note; new notes go on the timeline
     notes: {
         type: String
+    },
+    timeline: [timelineEntrySchema],
+    // When a location update was last written to the timeline (throttles breadcrumbs)
+    timelineLocationAt: {
+        type: Date,
+        select: false
     }
 }, {
     timestamps: true
 });
 
+// Allowed lifecycle moves; terminal statuses have no outgoing transitions
+const STATUS_TRANSITIONS = {
+    'active': ['acknowledged', 'en-route', 'resolved', 'cancelled', 'false-alarm'],
+    'acknowledged': ['en-route', 'resolved', 'cancelled', 'false-alarm'],
+    'en-route': ['resolved', 'cancelled', 'false-alarm'],
+    'resolved': [],
+    'cancelled': [],
+    'false-alarm': []
+};
+
+const OPEN_STATUSES = ['active', 'acknowledged', 'en-route'];
+
+// PIN attempts allowed when the tourist cancels an alert
+const MAX_CANCEL_PIN_ATTEMPTS = parseInt(process.env.SOS_CANCEL_MAX_PIN_ATTEMPTS) || 5;
+
 // Index for efficient queries
 sosLogSchema.index({ userId: 1, timestamp: -1 });
 sosLogSchema.index({ status: 1 });
 sosLogSchema.index({ timestamp: -1 });
+sosLogSchema.index({ isDrill: 1, timestamp: -1 });
+sosLogSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+sosLogSchema.index({ 'deliveries.providerMessageId': 1 });
+sosLogSchema.index({ status: 1, 'escalation.nextEscalationAt': 1 });
+sosLogSchema.index({ 'tracking.token': 1 }, { sparse: true });
+sosLogSchema.index(
+    { userId: 1, clientAlertId: 1 },
+    { unique: true, partialFilterExpression: { clientAlertId: { $type: 'string' } } }
+);
+
+sosLogSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+sosLogSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+sosLogSchema.statics.MAX_CANCEL_PIN_ATTEMPTS = MAX_CANCEL_PIN_ATTEMPTS;
+
+// Maximum breadcrumbs kept per incident; oldest points are dropped first
+const TRAIL_LIMIT = parseInt(process.env.SOS_TRAIL_LIMIT) || 1000;
+
+// Static to append a breadcrumb and move the incident's current location.
+// Only applies while the incident is open; resolves with null otherwise.
+sosLogSchema.statics.appendLocation = function(filter, point) {
+    const breadcrumb = {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: point.accuracy,
+        recordedAt: point.recordedAt || new Date()
+    };
+
+    return this.findOneAndUpdate(
+        { ...filter, status: { $in: OPEN_STATUSES } },
+        {
+            $push: { locationTrail: { $each: [breadcrumb], $slice: -TRAIL_LIMIT } },
+            $set: {
+                location: { latitude: breadcrumb.latitude, longitude: breadcrumb.longitude, accuracy: breadcrumb.accuracy },
+                lastLocationAt: breadcrumb.recordedAt
+            }
+        },
+        { new: true, projection: { locationTrail: 0 } }
+    );
+};
+
+// Static to merge breadcrumbs recorded offline into the trail in time order.
+// The current location only moves if the newest point is newer than it.
+// Only applies while the incident is open; resolves with null otherwise.
+sosLogSchema.statics.appendQueuedLocations = async function(filter, points) {
+    const breadcrumbs = points
+        .map(point => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy,
+            recordedAt: point.recordedAt
+        }))
+        .sort((a, b) => a.recordedAt - b.recordedAt);
+    const latest = breadcrumbs[breadcrumbs.length - 1];
+
+    const sosLog = await this.findOneAndUpdate(
+        { ...filter, status: { $in: OPEN_STATUSES } },
+        { $push: { locationTrail: { $each: breadcrumbs, $sort: { recordedAt: 1 }, $slice: -TRAIL_LIMIT } } },
+        { new: true, projection: { locationTrail: 0 } }
+    );
+    if (!sosLog) return null;
+
+    return await this.findOneAndUpdate(
+        { _id: sosLog._id, $or: [{ lastLocationAt: null }, { lastLocationAt: { $lt: latest.recordedAt } }] },
+        {
+            $set: {
+                location: { latitude: latest.latitude, longitude: latest.longitude, accuracy: latest.accuracy },
+                lastLocationAt: latest.recordedAt
+            }
+        },
+        { new: true, projection: { locationTrail: 0 } }
+    ) || sosLog;
+};
+
+// Minimum gap between location entries on the timeline
+const TIMELINE_LOCATION_INTERVAL_MS = (parseFloat(process.env.SOS_TIMELINE_LOCATION_MINUTES) || 5) * 60 * 1000;
+
+function buildTimelineEntry({ type, message, author, data, at }) {
+    return {
+        type,
+        message,
+        author: author || { kind: 'system' },
+        data,
+        at: at || new Date()
+    };
+}
+
+// Static to append a timeline entry without loading the incident
+sosLogSchema.statics.addTimelineEntry = function(sosLogId, entry) {
+    return this.updateOne({ _id: sosLogId }, { $push: { timeline: buildTimelineEntry(entry) } });
+};
+
+// Static to note a location update on the timeline, at most once per interval
+sosLogSchema.statics.addLocationToTimeline = function(sosLogId, { latitude, longitude, accuracy, recordedAt }) {
+    const now = new Date();
+
+    return this.updateOne({
+        _id: sosLogId,
+        $or: [
+            { timelineLocationAt: null },
+            { timelineLocationAt: { $lte: new Date(now.getTime() - TIMELINE_LOCATION_INTERVAL_MS) } }
+        ]
+    }, {
+        $push: {
+            timeline: buildTimelineEntry({
+                type: 'location',
+                message: `Location updated to ${latitude}, ${longitude}`,
+                author: { kind: 'user' },
+                data: { latitude, longitude, accuracy, recordedAt }
+            })
+        },
+        $set: { timelineLocationAt: now }
+    });
+};
+
+// Method to append a timeline entry; persisted by the next save()
+sosLogSchema.methods.addTimelineEntry = function(entry) {
+    this.timeline.push(buildTimelineEntry(entry));
+    return this;
+};
+
+// Virtual for whether the incident still needs attention
+sosLogSchema.virtual('isOpen').get(function() {
+    return OPEN_STATUSES.includes(this.status);
+});
+
+// Virtual for whether the alert was cancelled under duress
+sosLogSchema.virtual('isDuress').get(function() {
+    return !!(this.duress && this.duress.triggeredAt);
+});
+
+// Method to get the status the tourist (and anyone holding their phone) sees
+sosLogSchema.methods.getUserStatus = function() {
+    return this.isDuress ? 'cancelled' : this.status;
+};
+
+// Method to serialise the alert for the tourist; duress alerts are shown
+// as cancelled with nothing that reveals the silent escalation
+sosLogSchema.methods.toUserJSON = function() {
+    const json = this.toJSON();
+
+    // The timeline and abuse scoring are for operators only
+    delete json.timeline;
+    delete json.timelineLocationAt;
+    delete json.abuse;
+
+    // Contact messages carry each contact's one-time acknowledgement link
+    if (json.deliveries) {
+        json.deliveries = json.deliveries.map(({ body, ...delivery }) => delivery);
+    }
+
+    if (this.isDuress) {
+        json.status = 'cancelled';
+        json.cancelledBy = 'user';
+        delete json.duress;
+        delete json.deliveries;
+        delete json.escalation;
+        delete json.acknowledgements;
+    }
+
+    return json;
+};
+
+// Method to check whether anyone has taken responsibility for the alert
+sosLogSchema.methods.isAcknowledged = function() {
+    return this.status !== 'active' || this.acknowledgements.length > 0;
+};
+
+// Method to summarise which recipients were actually reached
+sosLogSchema.methods.getDeliverySummary = function() {
+    const summary = { total: this.deliveries.length, delivered: 0, sent: 0, pending: 0, failed: 0 };
+
+    this.deliveries.forEach(delivery => {
+        if (delivery.status === 'delivered') summary.delivered++;
+        else if (delivery.status === 'sent') summary.sent++;
+        else if (delivery.status === 'failed') summary.failed++;
+        else summary.pending++;
+    });
+
+    return summary;
+};
+
+// Method to check a lifecycle move without applying it
+sosLogSchema.methods.canTransitionTo = function(nextStatus) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+// Method to move the incident through its lifecycle.
+// Throws an error with status 409 for illegal transitions.
+sosLogSchema.methods.transitionTo = function(nextStatus, { admin, cancelledBy, notes } = {}) {
+    if (!this.canTransitionTo(nextStatus)) {
+        const error = new Error(`Cannot change alert status from ${this.status} to ${nextStatus}`);
+        error.status = 409;
+        throw error;
+    }
+
+    const now = new Date();
+
+    // First responder action stamps the response time; a tourist cancelling is not a response
+    if (!this.responseTime && admin) {
+        this.responseTime = now;
+    }
+
+    if (nextStatus === 'acknowledged') {
+        this.acknowledgedAt = now;
+    }
+
+    if (admin && !this.assignedTo && ['acknowledged', 'en-route'].includes(nextStatus)) {
+        this.assignedTo = admin._id;
+    }
+
+    if (!OPEN_STATUSES.includes(nextStatus)) {
+        this.closedAt = now;
+        if (admin) {
+            this.resolvedBy = admin.username;
+        }
+    }
+
+    if (nextStatus === 'cancelled') {
+        this.cancelledBy = cancelledBy || (admin ? 'admin' : 'user');
+    }
+
+    const author = admin
+        ? { kind: 'admin', id: admin._id, name: admin.username }
+        : { kind: 'user', id: this.userId, name: this.userInfo.username };
+
+    this.addTimelineEntry({
+        type: 'status',
+        message: notes ? `Status changed from ${this.status} to ${nextStatus}: ${notes}` : `Status changed from ${this.status} to ${nextStatus}`,
+        author,
+        data: { from: this.status, to: nextStatus, notes },
+        at: now
+    });
+
+    this.status = nextStatus;
+    return this;
+};
 
 module.exports = mongoose.model('SOSLog', sosLogSchema);
@@ -0,0 +1,69 @@
+// ===================================================================
+// SOS MESSAGE MODEL - Chat Between Tourist and Responders
+// ===================================================================
+// One message in the conversation attached to an SOS incident
+
+const mongoose = require('mongoose');
+
+const participantSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['user', 'admin', 'responder'],
+        required: true
+    },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String }
+}, { _id: false });
+
+const sosMessageSchema = new mongoose.Schema({
+    sosLogId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SOSLog',
+        required: true
+    },
+    sender: {
+        type: participantSchema,
+        required: true
+    },
+    body: {
+        type: String,
+        required: [true, 'Message text is required'],
+        trim: true,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    // How the message reached us: typed in the app/dashboard or replied by SMS
+    channel: {
+        type: String,
+        enum: ['app', 'sms'],
+        default: 'app'
+    },
+    readAt: {
+        type: Date
+    },
+    readBy: participantSchema,
+    // SMS copy sent to the tourist when they don't read a responder's message in the app
+    relay: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'sending', 'sent', 'failed'],
+            default: 'none'
+        },
+        dueAt: { type: Date },
+        sentAt: { type: Date },
+        providerMessageId: { type: String },
+        lastError: { type: String }
+    }
+}, {
+    timestamps: true
+});
+
+// Index for efficient queries
+sosMessageSchema.index({ sosLogId: 1, createdAt: 1 });
+sosMessageSchema.index({ 'relay.status': 1, 'relay.dueAt': 1 });
+
+// Method to check whether the message came from the tourist
+sosMessageSchema.methods.isFromUser = function() {
+    return this.sender.kind === 'user';
+};
+
+module.exports = mongoose.model('SOSMessage', sosMessageSchema);
@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../services/messageTemplates');
 
 const userSchema = new mongoose.Schema({
     // Basic Information
@@ -161,11 +162,53 @@ const userSchema = new mongoose.Schema({
         }
     },
     
+    // SOS Cancellation PINs (hashed like the password)
+    sosCancelPin: {
+        type: String,
+        select: false
+    },
+    sosDuressPin: {
+        type: String,
+        select: false
+    },
+    
+    // Message preferences: language code (e.g. "en", "hi") and IANA timezone
+    language: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    timeZone: {
+        type: String,
+        trim: true,
+        validate: {
+            validator: value => !value || isValidTimeZone(value),
+            message: 'Invalid timezone'
+        }
+    },
+    
     // Emergency Contact (Optional)
     emergencyContact: {
         name: String,
         phone: String,
-        relationship: String
+        relationship: String,
+        language: String,
+        timeZone: String
+    },
+    
+    // Last position reported by the app, used when an SOS is raised on the user's behalf
+    lastKnownLocation: {
+        latitude: Number,
+        longitude: Number,
+        accuracy: Number,
+        recordedAt: Date
+    },
+    // Admin override exempting the user from SOS rate limits
+    sosWhitelist: {
+        enabled: { type: Boolean, default: false },
+        reason: { type: String, trim: true, maxlength: 200 },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+        at: { type: Date }
     }
 }, {
     timestamps: true
@@ -178,19 +221,38 @@ userSchema.index({ phoneNumber: 1 });
 userSchema.index({ documentNumber: 1 });
 userSchema.index({ touristType: 1, verificationStatus: 1 });
 
+// Static to remember the user's latest position; older fixes never overwrite newer ones
+userSchema.statics.recordLocation = function(userId, { latitude, longitude, accuracy, recordedAt }) {
+    const fixTime = recordedAt || new Date();
+
+    return this.updateOne({
+        _id: userId,
+        $or: [
+            { 'lastKnownLocation.recordedAt': null },
+            { 'lastKnownLocation.recordedAt': { $lte: fixTime } }
+        ]
+    }, {
+        $set: { lastKnownLocation: { latitude, longitude, accuracy, recordedAt: fixTime } }
+    });
+};
+
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
     return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
-// Pre-save middleware to hash password
+// Pre-save middleware to hash password and SOS PINs
 userSchema.pre('save', async function(next) {
-    if (!this.isModified('password')) return next();
+    const secretFields = ['password', 'sosCancelPin', 'sosDuressPin']
+        .filter(field => this.isModified(field) && this[field]);
+    if (secretFields.length === 0) return next();
     
     try {
         const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 8;
-        const salt = await bcrypt.genSalt(rounds);
-        this.password = await bcrypt.hash(this.password, salt);
+        for (const field of secretFields) {
+            const salt = await bcrypt.genSalt(rounds);
+            this[field] = await bcrypt.hash(this[field], salt);
+        }
         next();
     } catch (error) {
         next(error);
@@ -202,6 +264,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check an SOS cancellation PIN.
+// Returns 'cancel', 'duress' or null; needs +sosCancelPin +sosDuressPin selected.
+userSchema.methods.checkSOSPin = async function(pin) {
+    if (!pin) return null;
+    if (this.sosDuressPin && await bcrypt.compare(String(pin), this.sosDuressPin)) return 'duress';
+    if (this.sosCancelPin && await bcrypt.compare(String(pin), this.sosCancelPin)) return 'cancel';
+    return null;
+};
+
 // Method to increment login attempts
 userSchema.methods.incLoginAttempts = function() {
     if (this.lockUntil && this.lockUntil < Date.now()) {
@@ -4,12 +4,46 @@
 // Admin panel for verifying tourist documents and managing users
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Admin = require('../models/Admin');
+const Device = require('../models/Device');
+const SOSLog = require('../models/SOSLog');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const GeofenceState = require('../models/GeofenceState');
+const RestrictedArea = require('../models/RestrictedArea');
 const { authenticateAdmin, requirePermission, generateToken } = require('../middleware/auth');
+const notifications = require('../services/notifications');
+const sosAbuse = require('../services/sosAbuse');
+const restrictedAreas = require('../services/restrictedAreas');
+const areaFormats = require('../services/areaFormats');
+const { uploadAreaFile, handleAreaImportUploadError, getImportFormat } = require('../middleware/areaImportUpload');
+const { PRODUCTION_FILTER } = require('../services/sosDrills');
 const router = express.Router();
 
+// Largest number of areas accepted in one import file
+const MAX_IMPORT_ROWS = parseInt(process.env.AREA_IMPORT_MAX_ROWS) || 2000;
+
+// Comma-separated query values; a repeated parameter arrives as an array
+function parseListQuery(value) {
+    return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Tell the tourist the outcome of their document verification (best effort)
+function notifyVerificationResult(user) {
+    if (!user.phoneNumber) return;
+
+    notifications.sendTemplate({
+        channel: 'sms',
+        to: user.phoneNumber,
+        template: user.verificationStatus === 'approved' ? 'verification.approved' : 'verification.rejected',
+        params: { reason: user.verificationNotes || '-' },
+        locale: user,
+        meta: { type: 'verification-result', userId: user._id }
+    }).catch(error => console.error('Verification result notice failed:', error.message));
+}
+
 // ===================================================================
 // ADMIN AUTHENTICATION
 // ===================================================================
@@ -132,6 +166,7 @@ router.post('/verify-document/:id', authenticateAdmin, requirePermission('verify
         user.verifiedAt = new Date();
 
         await user.save();
+        notifyVerificationResult(user);
 
         res.json({
             success: true,
@@ -241,6 +276,7 @@ router.post('/verify/:id/approve', authenticateAdmin, requirePermission('verify-
         user.verifiedAt = new Date();
 
         await user.save();
+        notifyVerificationResult(user);
 
         res.json({
             success: true,
@@ -288,6 +324,7 @@ router.post('/verify/:id/reject', authenticateAdmin, requirePermission('verify-d
         user.verifiedAt = new Date();
 
         await user.save();
+        notifyVerificationResult(user);
 
         res.json({
             success: true,
@@ -385,6 +422,539 @@ router.post('/users/:id/deactivate', authenticateAdmin, requirePermission('manag
     }
 });
 
+// Get a user's SOS false-alarm history and rate-limit status
+router.get('/users/:id/sos-abuse', authenticateAdmin, requirePermission('manage-users'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const user = await User.findById(req.params.id).select('username fullName sosWhitelist');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            user: { id: user._id, username: user.username, fullName: user.fullName },
+            profile: await sosAbuse.getAbuseProfile(user)
+        });
+
+    } catch (error) {
+        console.error('Get SOS abuse profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SOS abuse profile'
+        });
+    }
+});
+
+// Whitelist a user so their SOS alerts skip rate limits (or remove them)
+router.put('/users/:id/sos-whitelist', authenticateAdmin, requirePermission('manage-users'), [
+    body('enabled').isBoolean().withMessage('enabled must be a boolean'),
+    body('reason').if(body('enabled').equals('true')).trim().notEmpty().withMessage('A reason is required to whitelist a user')
+        .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        const enabled = req.body.enabled === true || req.body.enabled === 'true';
+        const user = await sosAbuse.setWhitelist(req.params.id, { enabled, reason: req.body.reason }, req.admin);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: enabled ? 'User whitelisted from SOS rate limits' : 'SOS whitelist removed',
+            sosWhitelist: user.sosWhitelist
+        });
+
+    } catch (error) {
+        console.error('Update SOS whitelist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update SOS whitelist'
+        });
+    }
+});
+
+// ===================================================================
+// DEVICE MONITORING
+// ===================================================================
+
+// Get paired panic buttons / wearables; ?health=silent|low-battery narrows to ones needing attention
+router.get('/devices', authenticateAdmin, requirePermission('respond-sos'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, health, userId } = req.query;
+
+        if (userId && !mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        let filter = { status: 'active' };
+        if (health === 'silent') filter = Device.silentFilter();
+        if (health === 'low-battery') filter['battery.level'] = { $lte: Device.LOW_BATTERY_PERCENT };
+        if (userId) filter.userId = userId;
+
+        const devices = await Device.find(filter)
+            .populate('userId', 'fullName username phoneNumber')
+            .sort({ lastSeenAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Device.countDocuments(filter);
+        const silentCount = await Device.countDocuments(Device.silentFilter());
+
+        res.json({
+            success: true,
+            devices: devices.map(device => ({ ...device.toPublicJSON(), user: device.userId })),
+            silentCount,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch devices'
+        });
+    }
+});
+
+// ===================================================================
+// AREA MODERATION
+// ===================================================================
+// Tourist-submitted restricted areas and reported ones wait here. Handled
+// by the same reviewers as document verification.
+
+// Get the moderation queue; ?queue=submitted|reported (default both)
+router.get('/areas/moderation', authenticateAdmin, requirePermission('verify-documents'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, queue } = req.query;
+
+        let filter = { $or: [{ reviewStatus: 'submitted' }, { openReports: { $gt: 0 } }] };
+        if (queue === 'submitted') filter = { reviewStatus: 'submitted' };
+        if (queue === 'reported') filter = { openReports: { $gt: 0 } };
+
+        const areas = await RestrictedArea.find(filter)
+            .populate('createdBy', 'fullName username email')
+            .populate('reports.userId', 'fullName username')
+            .sort({ openReports: -1, createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await RestrictedArea.countDocuments(filter);
+
+        res.json({
+            success: true,
+            areas,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get area moderation queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch moderation queue'
+        });
+    }
+});
+
+// Create a restricted area; admin areas are published without review
+router.post('/areas', authenticateAdmin, requirePermission('verify-documents'), async (req, res) => {
+    try {
+        const { area, error } = restrictedAreas.buildRestrictedArea(req.body, { createdByAdmin: req.admin._id });
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await area.save();
+        console.log(`📍 Restricted area "${area.name}" created by ${req.admin.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Restricted area created',
+            area
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Admin create area error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create restricted area'
+        });
+    }
+});
+
+// Approve a submitted area (or keep a reported one, dismissing its reports)
+router.post('/areas/:id/approve', authenticateAdmin, requirePermission('verify-documents'), [
+    body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid area ID'
+            });
+        }
+
+        const area = await restrictedAreas.approveArea(req.params.id, req.admin, req.body.notes);
+        if (!area) {
+            return res.status(404).json({
+                success: false,
+                message: 'Restricted area not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Restricted area approved',
+            area
+        });
+
+    } catch (error) {
+        console.error('Area approval error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve restricted area'
+        });
+    }
+});
+
+// Reject a submitted area (or take down a reported one, upholding its reports)
+router.post('/areas/:id/reject', authenticateAdmin, requirePermission('verify-documents'), [
+    body('notes').notEmpty().withMessage('Rejection reason is required')
+        .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid area ID'
+            });
+        }
+
+        const area = await restrictedAreas.rejectArea(req.params.id, req.admin, req.body.notes);
+        if (!area) {
+            return res.status(404).json({
+                success: false,
+                message: 'Restricted area not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Restricted area rejected',
+            area
+        });
+
+    } catch (error) {
+        console.error('Area rejection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject restricted area'
+        });
+    }
+});
+
+// ===================================================================
+// AREA IMPORT & EXPORT
+// ===================================================================
+// Zone lists from district administrations as GeoJSON, KML or CSV (see
+// services/areaFormats for the columns/properties read and written)
+
+// Import areas from a file. ?dryRun=true validates and previews without
+// saving; otherwise nothing is saved if any row is invalid, unless
+// ?skipInvalid=true imports the valid rows only.
+router.post('/areas/import', authenticateAdmin, requirePermission('verify-documents'), uploadAreaFile, handleAreaImportUploadError, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a GeoJSON, KML or CSV file in the "file" field'
+            });
+        }
+
+        const formatName = req.query.format || req.body.format || getImportFormat(req.file.originalname);
+        const format = areaFormats.getFormat(formatName);
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${areaFormats.FORMAT_NAMES.join(', ')}`
+            });
+        }
+
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+        const skipInvalid = req.query.skipInvalid === 'true' || req.body.skipInvalid === 'true';
+
+        let rows;
+        try {
+            rows = format.parse(req.file.buffer.toString('utf8'));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No areas found in file'
+            });
+        }
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `File has ${rows.length} areas; the limit is ${MAX_IMPORT_ROWS} per import`
+            });
+        }
+
+        const { results, areas } = restrictedAreas.prepareImport(rows, req.admin);
+        const summary = {
+            total: results.length,
+            valid: areas.length,
+            invalid: results.length - areas.length
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                dryRun: true,
+                format: formatName.toLowerCase(),
+                summary,
+                rows: results
+            });
+        }
+
+        if (summary.invalid > 0 && !skipInvalid) {
+            return res.status(422).json({
+                success: false,
+                message: `${summary.invalid} row(s) failed validation; nothing was imported`,
+                summary,
+                rows: results.filter(result => !result.valid)
+            });
+        }
+
+        if (areas.length === 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'No valid areas to import',
+                summary,
+                rows: results
+            });
+        }
+
+        const created = await RestrictedArea.insertMany(areas);
+        console.log(`📥 ${created.length} restricted area(s) imported from ${req.file.originalname} by ${req.admin.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${created.length} restricted area(s)`,
+            summary: { ...summary, imported: created.length },
+            rows: results,
+            areaIds: created.map(area => area._id)
+        });
+
+    } catch (error) {
+        console.error('Area import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import restricted areas'
+        });
+    }
+});
+
+// Download areas as GeoJSON, KML or CSV. Published, active areas by
+// default; ?all=true includes inactive, submitted and rejected ones.
+router.get('/areas/export', authenticateAdmin, requirePermission('verify-documents'), async (req, res) => {
+    try {
+        const formatName = (req.query.format || 'geojson').toLowerCase();
+        const format = areaFormats.getFormat(formatName);
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${areaFormats.FORMAT_NAMES.join(', ')}`
+            });
+        }
+
+        const filter = req.query.all === 'true'
+            ? {}
+            : { isActive: true, reviewStatus: { $nin: ['submitted', 'rejected'] } };
+        if (req.query.category) filter.category = req.query.category;
+        if (req.query.severity) filter.severity = { $in: parseListQuery(req.query.severity) };
+
+        const areas = await RestrictedArea.find(filter)
+            .select(RestrictedArea.PRIVATE_PROJECTION)
+            .sort({ createdAt: 1 });
+
+        const fileName = `restricted-areas-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(format.serialize(areas));
+
+    } catch (error) {
+        console.error('Area export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export restricted areas'
+        });
+    }
+});
+
+// ===================================================================
+// GEOFENCE MONITORING
+// ===================================================================
+
+// Get restricted area entries/exits; ?severity=high,critical&type=entry narrows the log
+router.get('/geofence-events', authenticateAdmin, requirePermission('respond-sos'), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, type, severity, userId, areaId, from, to } = req.query;
+
+        if ((userId && !mongoose.isValidObjectId(userId)) || (areaId && !mongoose.isValidObjectId(areaId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user or area ID'
+            });
+        }
+
+        const filter = {};
+        if (type) filter.type = type;
+        if (severity) filter.severity = { $in: parseListQuery(severity) };
+        if (userId) filter.userId = userId;
+        if (areaId) filter.areaId = areaId;
+        if (from || to) {
+            filter.at = {};
+            if (from) filter.at.$gte = new Date(from);
+            if (to) filter.at.$lte = new Date(to);
+        }
+
+        const events = await GeofenceEvent.find(filter)
+            .sort({ at: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await GeofenceEvent.countDocuments(filter);
+
+        res.json({
+            success: true,
+            events,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get geofence events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch geofence events'
+        });
+    }
+});
+
+// Get the tourists currently inside a restricted area
+router.get('/geofence-events/areas/:areaId/occupants', authenticateAdmin, requirePermission('respond-sos'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.areaId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid area ID'
+            });
+        }
+
+        const states = await GeofenceState.find({ 'inside.areaId': req.params.areaId })
+            .populate('userId', 'fullName username phoneNumber')
+            .sort({ lastPingAt: -1 })
+            .limit(500);
+
+        res.json({
+            success: true,
+            occupants: states.map(state => ({
+                user: state.userId,
+                enteredAt: state.inside.find(entry => entry.areaId.toString() === req.params.areaId).enteredAt,
+                lastPingAt: state.lastPingAt,
+                lastLocation: state.lastLocation
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get area occupants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch area occupants'
+        });
+    }
+});
+
 // ===================================================================
 // STATISTICS & REPORTS
 // ===================================================================
@@ -400,7 +970,12 @@ router.get('/stats', authenticateAdmin, requirePermission('view-reports'), async
             User.countDocuments({ verificationStatus: 'approved' }),
             User.countDocuments({ verificationStatus: 'rejected' }),
             User.countDocuments({ isPhoneVerified: true }),
-            User.countDocuments({ createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } })
+            User.countDocuments({ createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }),
+            // Drills are practice runs and never count as real incidents
+            SOSLog.countDocuments(PRODUCTION_FILTER),
+            SOSLog.countDocuments({ ...PRODUCTION_FILTER, status: { $in: SOSLog.OPEN_STATUSES } }),
+            SOSLog.countDocuments({ ...PRODUCTION_FILTER, timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }),
+            SOSLog.countDocuments({ ...PRODUCTION_FILTER, status: 'false-alarm' })
         ]);
 
         res.json({
@@ -413,7 +988,11 @@ router.get('/stats', authenticateAdmin, requirePermission('view-reports'), async
                 approvedUsers: stats[4],
                 rejectedUsers: stats[5],
                 verifiedPhones: stats[6],
-                newUsersToday: stats[7]
+                newUsersToday: stats[7],
+                sosAlerts: stats[8],
+                openSOSAlerts: stats[9],
+                sosAlertsToday: stats[10],
+                falseAlarms: stats[11]
             }
         });
 
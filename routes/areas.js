@@ -1,24 +1,48 @@
 // ===================================================================
 // AREAS API ROUTES - Manage Safe and Restricted Areas
 // ===================================================================
+// Tourist-submitted areas are visible only to their creator until an
+// admin approves them (see routes/admin.js AREA MODERATION)
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const RestrictedArea = require('../models/RestrictedArea');
-const { authenticateUser } = require('../middleware/auth');
+const { validatePolygonGeometry } = require('../utils/geo');
+const geofence = require('../services/geofence');
+const restrictedAreas = require('../services/restrictedAreas');
+const { authenticateUser, identifyUser } = require('../middleware/auth');
+
+// Read latitude/longitude from a request; both null when missing or out of range
+function parseCoordinate(source) {
+    const latitude = parseFloat(source.latitude);
+    const longitude = parseFloat(source.longitude);
+
+    if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return { latitude: null, longitude: null };
+    }
+    return { latitude, longitude };
+}
+
+// Shape an area returned by a distance query for the API
+function toAreaResult(area) {
+    return {
+        ...area,
+        latitude: area.location.coordinates[1],
+        longitude: area.location.coordinates[0],
+        distance: Math.round(area.distance),
+        distanceToEdge: Math.round(area.distanceToEdge)
+    };
+}
 
 // ===================================================================
 // GET ALL RESTRICTED AREAS
 // ===================================================================
-router.get('/restricted', async (req, res) => {
+router.get('/restricted', identifyUser, async (req, res) => {
     try {
-        const areas = await RestrictedArea.find({ 
-            isActive: true,
-            $or: [
-                { validUntil: { $exists: false } },
-                { validUntil: { $gte: new Date() } }
-            ]
-        }).select('-createdBy');
+        const viewerId = req.user ? req.user._id : undefined;
+        const areas = await RestrictedArea.find(RestrictedArea.activeFilter({ viewerId }))
+            .select(RestrictedArea.PRIVATE_PROJECTION);
         
         res.json({
             success: true,
@@ -34,68 +58,174 @@ router.get('/restricted', async (req, res) => {
 });
 
 // ===================================================================
-// ADD NEW RESTRICTED AREA (Admin/User)
+// GET RESTRICTED AREAS NEAR A LOCATION
 // ===================================================================
-router.post('/restricted', authenticateUser, async (req, res) => {
+// Areas of either shape whose edge is within `distance` meters of the
+// coordinate, nearest edge first. `distance` is measured to the centre,
+// `distanceToEdge` to the area's boundary (0 when the coordinate is inside it).
+router.get('/restricted/nearby', identifyUser, async (req, res) => {
     try {
-        const {
-            name,
-            description,
-            latitude,
-            longitude,
-            radius,
-            severity,
-            category,
-            validUntil,
-            alertMessage
-        } = req.body;
+        const { latitude, longitude } = parseCoordinate(req.query);
+        const distance = req.query.distance !== undefined ? parseFloat(req.query.distance) : 5000;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-        // Validate required fields
-        if (!name || !latitude || !longitude) {
+        if (latitude === null) {
             return res.status(400).json({
                 success: false,
-                message: 'Name, latitude, and longitude are required'
+                message: 'Valid latitude and longitude are required'
             });
         }
 
-        // Validate coordinates
-        if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        if (isNaN(distance) || distance < 0 || distance > 100000) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid coordinates'
+                message: 'Distance must be between 0 and 100000 meters'
             });
         }
 
-        const newArea = new RestrictedArea({
-            name,
-            description,
-            location: {
-                latitude: parseFloat(latitude),
-                longitude: parseFloat(longitude)
-            },
-            radius: radius || 1000,
-            severity: severity || 'medium',
-            category: category || 'other',
-            validUntil: validUntil ? new Date(validUntil) : undefined,
-            alertMessage: alertMessage || 'This area is restricted for safety reasons. Please avoid entering.',
-            createdBy: req.user.id
+        const areas = await RestrictedArea.findNearby(latitude, longitude, {
+            distance,
+            limit,
+            viewerId: req.user ? req.user._id : undefined
+        });
+
+        res.json({
+            success: true,
+            areas: areas.map(toAreaResult)
+        });
+    } catch (error) {
+        console.error('Error fetching nearby restricted areas:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch nearby restricted areas'
         });
+    }
+});
+
+// ===================================================================
+// CHECK WHETHER A LOCATION IS INSIDE ANY RESTRICTED AREA
+// ===================================================================
+router.get('/restricted/check', identifyUser, async (req, res) => {
+    try {
+        const { latitude, longitude } = parseCoordinate(req.query);
+
+        if (latitude === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid latitude and longitude are required'
+            });
+        }
+
+        const areas = await RestrictedArea.findContaining(latitude, longitude, {
+            viewerId: req.user ? req.user._id : undefined
+        });
+
+        res.json({
+            success: true,
+            restricted: areas.length > 0,
+            areas: areas.map(toAreaResult)
+        });
+    } catch (error) {
+        console.error('Error checking restricted areas:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check restricted areas'
+        });
+    }
+});
+
+// ===================================================================
+// LOCATION PING - GEOFENCE ENTRY/EXIT
+// ===================================================================
+// The app reports the tourist's position; the response lists the areas
+// they are in, what they just entered or left, and any warnings to show.
+router.post('/ping', authenticateUser, async (req, res) => {
+    try {
+        const { latitude, longitude } = parseCoordinate(req.body);
+        const accuracy = req.body.accuracy != null ? parseFloat(req.body.accuracy) : undefined;
+
+        if (latitude === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid latitude and longitude are required'
+            });
+        }
+
+        if (accuracy !== undefined && (isNaN(accuracy) || accuracy < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid accuracy'
+            });
+        }
+
+        // Phones may send a fix a little late; never trust one from the future
+        let recordedAt = new Date();
+        if (req.body.recordedAt) {
+            const fixTime = new Date(req.body.recordedAt);
+            if (isNaN(fixTime.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid recordedAt'
+                });
+            }
+            if (fixTime < recordedAt) recordedAt = fixTime;
+        }
+
+        const result = await geofence.processPing(req.user, { latitude, longitude, accuracy, recordedAt });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error processing location ping:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process location ping'
+        });
+    }
+});
+
+// ===================================================================
+// ADD NEW RESTRICTED AREA (Admin/User)
+// ===================================================================
+router.post('/restricted', authenticateUser, async (req, res) => {
+    try {
+        const { area: newArea, error } = restrictedAreas.buildRestrictedArea(req.body, { createdBy: req.user._id });
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
 
         await newArea.save();
 
         res.status(201).json({
             success: true,
-            message: 'Restricted area added successfully',
+            message: 'Restricted area submitted for review',
             area: {
                 id: newArea._id,
                 name: newArea.name,
                 location: newArea.location,
+                latitude: newArea.latitude,
+                longitude: newArea.longitude,
+                shape: newArea.shape,
                 radius: newArea.radius,
+                geometry: newArea.geometry,
                 severity: newArea.severity,
-                category: newArea.category
+                category: newArea.category,
+                reviewStatus: newArea.reviewStatus
             }
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Error adding restricted area:', error);
         res.status(500).json({
             success: false,
@@ -110,14 +240,17 @@ router.post('/restricted', authenticateUser, async (req, res) => {
 router.put('/restricted/:id', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
-        const updateData = req.body;
+        // Shape and centre follow from the geometry or latitude/longitude given,
+        // and ownership and moderation are not the creator's to change, so
+        // those fields are not taken as-is
+        const {
+            latitude, longitude, geometry, shape, location,
+            createdBy, createdByAdmin, reviewStatus, review, reports, openReports,
+            ...updateData
+        } = req.body;
 
-        // Find and update the area (only if created by the user)
-        const area = await RestrictedArea.findOneAndUpdate(
-            { _id: id, createdBy: req.user.id },
-            updateData,
-            { new: true, runValidators: true }
-        );
+        // Only the creator may change an area
+        const area = await RestrictedArea.findOne({ _id: id, createdBy: req.user.id });
 
         if (!area) {
             return res.status(404).json({
@@ -126,12 +259,51 @@ router.put('/restricted/:id', authenticateUser, async (req, res) => {
             });
         }
 
+        if (geometry) {
+            // Reshaping the area into (or within) a polygon
+            const geometryError = validatePolygonGeometry(geometry);
+            if (geometryError) {
+                return res.status(400).json({
+                    success: false,
+                    message: geometryError
+                });
+            }
+            updateData.shape = 'polygon';
+            updateData.geometry = geometry;
+        } else if (latitude !== undefined || longitude !== undefined) {
+            // Moving the area: a new centre makes it a circle again
+            const coordinate = parseCoordinate({ latitude, longitude });
+            if (coordinate.latitude === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid coordinates'
+                });
+            }
+            updateData.shape = 'circle';
+            updateData.location = RestrictedArea.toPoint(coordinate.latitude, coordinate.longitude);
+            if (updateData.radius === undefined && area.radius === undefined) {
+                updateData.radius = 1000;
+            }
+        }
+
+        area.set(updateData);
+
+        // Changes go back through moderation before the public sees them
+        area.reviewStatus = 'submitted';
+        await area.save();
+
         res.json({
             success: true,
-            message: 'Restricted area updated successfully',
+            message: 'Restricted area updated and resubmitted for review',
             area: area
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Error updating restricted area:', error);
         res.status(500).json({
             success: false,
@@ -172,6 +344,61 @@ router.delete('/restricted/:id', authenticateUser, async (req, res) => {
     }
 });
 
+// ===================================================================
+// REPORT A RESTRICTED AREA
+// ===================================================================
+// Flags a published area as wrong or outdated for admins to review
+router.post('/restricted/:id/report', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, note } = req.body;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid area ID'
+            });
+        }
+
+        if (!RestrictedArea.REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                message: `Reason must be one of: ${RestrictedArea.REPORT_REASONS.join(', ')}`
+            });
+        }
+
+        const result = await restrictedAreas.reportArea(id, req.user, {
+            reason,
+            note: typeof note === 'string' ? note.slice(0, 500) : undefined
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Restricted area not found'
+            });
+        }
+
+        if (result.duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reported this area'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Thanks - an admin will review this area'
+        });
+    } catch (error) {
+        console.error('Error reporting restricted area:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to report restricted area'
+        });
+    }
+});
+
 // ===================================================================
 // GET USER'S RESTRICTED AREAS
 // ===================================================================
@@ -179,7 +406,7 @@ router.get('/restricted/my-areas', authenticateUser, async (req, res) => {
     try {
         const areas = await RestrictedArea.find({ 
             createdBy: req.user.id 
-        }).sort({ createdAt: -1 });
+        }).select('-reports').sort({ createdAt: -1 });
         
         res.json({
             success: true,
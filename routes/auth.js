@@ -13,11 +13,11 @@ const fs = require('fs');
 const User = require('../models/User');
 const { authenticateUser, generateToken } = require('../middleware/auth');
 
-// Twilio setup for OTP
-const twilio = require('twilio');
-const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN 
-    ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN) 
-    : null;
+const notifications = require('../services/notifications');
+const messageTemplates = require('../services/messageTemplates');
+
+// Shared Twilio client (only needed for the Verify API)
+const twilioClient = notifications.getTwilioClient();
 
 // Twilio Verify Service SID
 const VERIFY_SERVICE_SID = process.env.TWILIO_VERIFY_SERVICE_SID;
@@ -70,6 +70,16 @@ const registrationValidation = [
     body('documentNumber').isLength({ min: 1 }).withMessage('Document number is required')
 ];
 
+// Optional message preferences accepted at registration and in the profile
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function pickMessagePreferences({ language, timeZone }) {
+    return {
+        language: language && LANGUAGE_PATTERN.test(language) ? language.toLowerCase() : undefined,
+        timeZone: messageTemplates.isValidTimeZone(timeZone) ? timeZone : undefined
+    };
+}
+
 const loginValidation = [
     body('identifier').notEmpty().withMessage('Email or username is required'),
     body('password').notEmpty().withMessage('Password is required')
@@ -134,6 +144,7 @@ router.post('/register/indian', upload, async (req, res) => {
             gender,
             password,
             phoneNumber: formattedPhoneNumber,
+            ...pickMessagePreferences(req.body),
             touristType: 'indian',
             documentType: 'aadhar',
             documentNumber: documentNumber.replace(/\s/g, ''),
@@ -225,6 +236,7 @@ router.post('/register/foreign', upload, registrationValidation, async (req, res
             gender,
             password,
             phoneNumber: formattedPhoneNumber,
+            ...pickMessagePreferences(req.body),
             touristType: 'foreign',
             documentType: 'passport',
             documentNumber: documentNumber.toUpperCase(),
@@ -243,16 +255,17 @@ router.post('/register/foreign', upload, registrationValidation, async (req, res
         await user.save();
 
         // Send OTP via SMS
-        if (twilioClient) {
-            try {
-                await twilioClient.messages.create({
-                    body: `Your Tourist Safety System verification code is: ${otp}. Valid for 10 minutes.`,
-                    from: process.env.TWILIO_PHONE_NUMBER,
-                    to: formattedPhoneNumber
-                });
-            } catch (smsError) {
-                console.error('SMS sending failed:', smsError);
-            }
+        try {
+            await notifications.sendTemplate({
+                channel: 'sms',
+                to: formattedPhoneNumber,
+                template: 'otp.code',
+                params: { otp },
+                locale: user,
+                meta: { type: 'otp', userId: user._id }
+            });
+        } catch (smsError) {
+            console.error('SMS sending failed:', smsError);
         }
 
         res.status(201).json({
@@ -474,6 +487,8 @@ router.post('/login/verify-otp', [
 
 // Get current user profile
 router.get('/profile', authenticateUser, async (req, res) => {
+    const pins = await User.findById(req.user._id).select('+sosCancelPin +sosDuressPin');
+
     res.json({
         success: true,
         user: {
@@ -491,11 +506,104 @@ router.get('/profile', authenticateUser, async (req, res) => {
             nationality: req.user.nationality,
             visaNumber: req.user.visaNumber,
             emergencyContact: req.user.emergencyContact,
+            hasSOSPins: !!(pins && pins.sosCancelPin && pins.sosDuressPin),
+            language: req.user.language,
+            timeZone: req.user.timeZone,
             createdAt: req.user.createdAt
         }
     });
 });
 
+// Update the language and timezone used for messages to the user
+router.put('/preferences', authenticateUser, [
+    body('language').optional({ nullable: true }).matches(LANGUAGE_PATTERN).withMessage('Invalid language code'),
+    body('timeZone').optional({ nullable: true }).custom(value => messageTemplates.isValidTimeZone(value)).withMessage('Invalid timezone')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+        const { language, timeZone } = req.body;
+
+        if (language !== undefined) user.language = language ? language.toLowerCase() : undefined;
+        if (timeZone !== undefined) user.timeZone = timeZone || undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Preferences updated successfully',
+            preferences: {
+                language: user.language,
+                timeZone: user.timeZone,
+                effective: messageTemplates.resolveLocale(user),
+                supportedLanguages: messageTemplates.SUPPORTED_LANGUAGES
+            }
+        });
+
+    } catch (error) {
+        console.error('Update preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update preferences'
+        });
+    }
+});
+
+// Set the PINs used to cancel an SOS: the cancel PIN stops the alert,
+// the duress PIN looks the same on screen but escalates silently
+router.put('/sos-pins', authenticateUser, [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('cancelPin').matches(/^\d{4,8}$/).withMessage('Cancel PIN must be 4-8 digits'),
+    body('duressPin').matches(/^\d{4,8}$/).withMessage('Duress PIN must be 4-8 digits')
+        .custom((value, { req }) => value !== req.body.cancelPin).withMessage('Duress PIN must differ from the cancel PIN')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, cancelPin, duressPin } = req.body;
+
+        const user = await User.findById(req.user._id);
+        if (!(await user.comparePassword(currentPassword))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        user.sosCancelPin = cancelPin;
+        user.sosDuressPin = duressPin;
+        await user.save();
+
+        console.log('🔢 SOS PINs updated for user:', user.username);
+
+        res.json({
+            success: true,
+            message: 'SOS PINs updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update SOS PINs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update SOS PINs'
+        });
+    }
+});
+
 // Verify phone number with OTP (for existing users)
 // Verify phone number using Twilio Verify API
 router.post('/verify-phone', [
@@ -614,7 +722,8 @@ router.post('/send-verification-otp', authenticateUser, async (req, res) => {
                 .verifications
                 .create({
                     to: user.phoneNumber,
-                    channel: 'sms'
+                    channel: 'sms',
+                    locale: messageTemplates.resolveLocale(user).language
                 });
 
             console.log(`📱 OTP sent to ${user.phoneNumber} via Twilio Verify`);
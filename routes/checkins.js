@@ -0,0 +1,305 @@
+// ===================================================================
+// CHECK-IN ROUTES - Scheduled Safety Check-ins
+// ===================================================================
+// Tourists schedule "I'll check in by ..." timers; a missed check-in
+// raises an SOS automatically (see services/checkIns.js)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const { authenticateUser } = require('../middleware/auth');
+const CheckIn = require('../models/CheckIn');
+const User = require('../models/User');
+
+const locationValidation = (prefix) => [
+    body(`${prefix}.latitude`).optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body(`${prefix}.longitude`).optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body(`${prefix}.accuracy`).optional().isFloat({ min: 0 }).withMessage('Invalid accuracy')
+];
+
+const scheduleValidation = [
+    body('expectedAt').isISO8601().withMessage('Check-in time must be a valid date')
+        .custom(value => new Date(value) > new Date()).withMessage('Check-in time must be in the future'),
+    body('graceMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Grace period must be between 0 and 240 minutes')
+];
+
+router.use(authenticateUser);
+
+// Remember where the user is, if the request carries a usable position
+async function recordCurrentLocation(userId, location) {
+    if (!location || location.latitude == null || location.longitude == null) return;
+
+    await User.recordLocation(userId, {
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        accuracy: location.accuracy != null ? parseFloat(location.accuracy) : undefined
+    });
+}
+
+// Load the user's own check-in referenced by :id
+async function findOwnCheckIn(req, res) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid check-in ID'
+        });
+        return null;
+    }
+
+    const checkIn = await CheckIn.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!checkIn) {
+        res.status(404).json({
+            success: false,
+            message: 'Check-in not found'
+        });
+        return null;
+    }
+
+    return checkIn;
+}
+
+// Reject changes to a check-in that is no longer running
+function rejectIfNotScheduled(checkIn, res) {
+    if (checkIn.status === 'scheduled') return false;
+
+    res.status(409).json({
+        success: false,
+        message: checkIn.status === 'triggered'
+            ? 'Check-in was missed and an emergency alert has already been sent'
+            : `Check-in is already ${checkIn.status}`,
+        status: checkIn.status,
+        alertId: checkIn.sosLogId
+    });
+    return true;
+}
+
+// Get user's check-ins
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const filter = { userId: req.user._id };
+        if (status) filter.status = status;
+
+        const checkIns = await CheckIn.find(filter)
+            .sort({ expectedAt: -1 })
+            .limit(50);
+
+        res.json({
+            success: true,
+            checkIns
+        });
+
+    } catch (error) {
+        console.error('Get check-ins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve check-ins'
+        });
+    }
+});
+
+// Schedule a check-in
+router.post('/', [
+    ...scheduleValidation,
+    body('destination.name').optional().trim().isLength({ max: 200 }).withMessage('Destination name cannot exceed 200 characters'),
+    ...locationValidation('destination'),
+    ...locationValidation('currentLocation'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { expectedAt, graceMinutes, destination, currentLocation, note } = req.body;
+
+        const checkIn = new CheckIn({
+            userId: req.user._id,
+            destination,
+            note
+        });
+        checkIn.schedule(new Date(expectedAt), graceMinutes != null ? parseInt(graceMinutes) : undefined);
+
+        await checkIn.save();
+        await recordCurrentLocation(req.user._id, currentLocation);
+
+        console.log(`🕒 Check-in scheduled by ${req.user.username} for ${checkIn.expectedAt.toISOString()}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Check-in scheduled',
+            checkIn
+        });
+
+    } catch (error) {
+        console.error('Schedule check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule check-in'
+        });
+    }
+});
+
+// Check in: the user is safe
+router.post('/:id/check-in', locationValidation('currentLocation'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const checkIn = await findOwnCheckIn(req, res);
+        if (!checkIn || rejectIfNotScheduled(checkIn, res)) return;
+
+        // Conditional update so a check-in racing the scheduler cannot both succeed
+        const updated = await CheckIn.findOneAndUpdate(
+            { _id: checkIn._id, status: 'scheduled' },
+            { $set: { status: 'completed', completedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return rejectIfNotScheduled(await CheckIn.findById(checkIn._id), res);
+        }
+
+        await recordCurrentLocation(req.user._id, req.body.currentLocation);
+
+        res.json({
+            success: true,
+            message: 'Checked in successfully',
+            checkIn: updated
+        });
+
+    } catch (error) {
+        console.error('Check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check in'
+        });
+    }
+});
+
+// Move the deadline of a running check-in
+router.put('/:id', scheduleValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const checkIn = await findOwnCheckIn(req, res);
+        if (!checkIn || rejectIfNotScheduled(checkIn, res)) return;
+
+        const { expectedAt, graceMinutes } = req.body;
+        checkIn.schedule(new Date(expectedAt), graceMinutes != null ? parseInt(graceMinutes) : undefined);
+
+        const updated = await CheckIn.findOneAndUpdate(
+            { _id: checkIn._id, status: 'scheduled' },
+            {
+                $set: {
+                    expectedAt: checkIn.expectedAt,
+                    graceMinutes: checkIn.graceMinutes,
+                    reminderAt: checkIn.reminderAt,
+                    triggerAt: checkIn.triggerAt
+                },
+                $unset: { reminderSentAt: 1 }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            return rejectIfNotScheduled(await CheckIn.findById(checkIn._id), res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Check-in rescheduled',
+            checkIn: updated
+        });
+
+    } catch (error) {
+        console.error('Reschedule check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reschedule check-in'
+        });
+    }
+});
+
+// Cancel a running check-in
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const checkIn = await findOwnCheckIn(req, res);
+        if (!checkIn || rejectIfNotScheduled(checkIn, res)) return;
+
+        const updated = await CheckIn.findOneAndUpdate(
+            { _id: checkIn._id, status: 'scheduled' },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return rejectIfNotScheduled(await CheckIn.findById(checkIn._id), res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Check-in cancelled',
+            checkIn: updated
+        });
+
+    } catch (error) {
+        console.error('Cancel check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel check-in'
+        });
+    }
+});
+
+// Report the user's current position so a missed check-in alert has a recent location
+router.post('/location', locationValidation('currentLocation'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const { currentLocation } = req.body;
+
+        if (!errors.isEmpty() || !currentLocation || currentLocation.latitude == null || currentLocation.longitude == null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid currentLocation.latitude and currentLocation.longitude are required'
+            });
+        }
+
+        await recordCurrentLocation(req.user._id, currentLocation);
+
+        res.json({
+            success: true,
+            message: 'Location recorded'
+        });
+
+    } catch (error) {
+        console.error('Record location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record location'
+        });
+    }
+});
+
+module.exports = router;
@@ -7,6 +7,19 @@ const express = require('express');
 const router = express.Router();
 const { authenticateUser } = require('../middleware/auth');
 const Contact = require('../models/Contact');
+const { isValidTimeZone } = require('../services/messageTemplates');
+
+// Language/timezone are optional; alerts fall back to the tourist's own
+function getPreferenceError({ language, timeZone }) {
+    if (language && !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language)) return 'Invalid language code';
+    if (timeZone && !isValidTimeZone(timeZone)) return 'Invalid timezone';
+    return null;
+}
+
+// Forms post booleans as strings; "false" must not count as true
+function parseBoolean(value) {
+    return value === true || value === 'true';
+}
 
 // Get all emergency contacts for user
 router.get('/', authenticateUser, async (req, res) => {
@@ -31,7 +44,7 @@ router.get('/', authenticateUser, async (req, res) => {
 // Add new emergency contact
 router.post('/', authenticateUser, async (req, res) => {
     try {
-        const { name, phoneNumber, relationship, email } = req.body;
+        const { name, phoneNumber, relationship, email, isPrimary, language, timeZone } = req.body;
 
         if (!name || !phoneNumber) {
             return res.status(400).json({
@@ -40,12 +53,23 @@ router.post('/', authenticateUser, async (req, res) => {
             });
         }
 
+        const preferenceError = getPreferenceError(req.body);
+        if (preferenceError) {
+            return res.status(400).json({
+                success: false,
+                message: preferenceError
+            });
+        }
+
         const contact = new Contact({
             userId: req.user._id,
             name,
             phoneNumber,
             relationship,
-            email
+            email,
+            language,
+            timeZone,
+            isPrimary: parseBoolean(isPrimary)
         });
 
         await contact.save();
@@ -68,9 +92,17 @@ router.post('/', authenticateUser, async (req, res) => {
 // Update emergency contact
 router.put('/:contactId', authenticateUser, async (req, res) => {
     try {
-        const { name, phoneNumber, relationship, email } = req.body;
+        const { name, phoneNumber, relationship, email, isPrimary, language, timeZone } = req.body;
         const { contactId } = req.params;
 
+        const preferenceError = getPreferenceError(req.body);
+        if (preferenceError) {
+            return res.status(400).json({
+                success: false,
+                message: preferenceError
+            });
+        }
+
         const contact = await Contact.findOne({
             _id: contactId,
             userId: req.user._id
@@ -87,6 +119,15 @@ router.put('/:contactId', authenticateUser, async (req, res) => {
         contact.phoneNumber = phoneNumber;
         contact.relationship = relationship;
         contact.email = email;
+        if (isPrimary !== undefined) {
+            contact.isPrimary = parseBoolean(isPrimary);
+        }
+        if (language !== undefined) {
+            contact.language = language || undefined;
+        }
+        if (timeZone !== undefined) {
+            contact.timeZone = timeZone || undefined;
+        }
 
         await contact.save();
 
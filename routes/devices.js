@@ -0,0 +1,471 @@
+// ===================================================================
+// DEVICE ROUTES - Panic Buttons & Wearables
+// ===================================================================
+// Tourists pair hardware SOS triggers from the dashboard; paired
+// devices then raise alerts and report battery/heartbeat with their
+// own credentials (see middleware/deviceAuth.js)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const { authenticateUser } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const Device = require('../models/Device');
+const SOSLog = require('../models/SOSLog');
+const User = require('../models/User');
+const { createOrFindSOSAlert } = require('../services/sosAlerts');
+const sosSync = require('../services/sosSync');
+const incidentEvents = require('../services/incidentEvents');
+
+const MAX_DEVICES_PER_USER = parseInt(process.env.DEVICE_MAX_PER_USER) || 5;
+
+// Suggested heartbeat period handed to devices at pairing
+const HEARTBEAT_INTERVAL_MINUTES = parseInt(process.env.DEVICE_HEARTBEAT_MINUTES) || 60;
+
+// Pairing needs no login, so failed attempts are limited per IP and per code
+const PAIRING_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const pairingLimitResponse = {
+    success: false,
+    message: 'Too many pairing attempts. Please wait and try again.'
+};
+
+const pairingIpLimiter = rateLimit({
+    windowMs: PAIRING_LIMIT_WINDOW_MS,
+    limit: 10,
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: pairingLimitResponse
+});
+
+const pairingCodeLimiter = rateLimit({
+    windowMs: PAIRING_LIMIT_WINDOW_MS,
+    limit: Device.MAX_PAIRING_ATTEMPTS,
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: req => `code:${Device.getPairingLookup(req.body.pairingCode || '')}`,
+    message: pairingLimitResponse
+});
+
+const locationValidation = [
+    body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('accuracy').optional().isFloat({ min: 0 }).withMessage('Invalid accuracy')
+];
+
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+}
+
+// The device's own position fix, if the request carries one
+function readFix(reqBody) {
+    if (reqBody.latitude == null || reqBody.longitude == null) return null;
+
+    return {
+        latitude: parseFloat(reqBody.latitude),
+        longitude: parseFloat(reqBody.longitude),
+        accuracy: reqBody.accuracy != null ? parseFloat(reqBody.accuracy) : undefined
+    };
+}
+
+// Load the user's own device referenced by :id
+async function findOwnDevice(req, res) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid device ID'
+        });
+        return null;
+    }
+
+    const device = await Device.findOne({ _id: req.params.id, userId: req.user._id, status: { $ne: 'revoked' } });
+
+    if (!device) {
+        res.status(404).json({
+            success: false,
+            message: 'Device not found'
+        });
+        return null;
+    }
+
+    return device;
+}
+
+// ===================================================================
+// PAIRING (USER DASHBOARD)
+// ===================================================================
+
+// Get user's devices
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const devices = await Device.find({ userId: req.user._id, status: { $ne: 'revoked' } })
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            devices: devices.map(device => device.toPublicJSON())
+        });
+
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve devices'
+        });
+    }
+});
+
+// Start pairing a new device; the code is entered on the device or its setup app
+router.post('/', authenticateUser, [
+    body('name').trim().notEmpty().withMessage('Device name is required')
+        .isLength({ max: 60 }).withMessage('Device name cannot exceed 60 characters'),
+    body('type').optional().isIn(['panic-button', 'wearable', 'other']).withMessage('Invalid device type')
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const count = await Device.countDocuments({ userId: req.user._id, status: { $ne: 'revoked' } });
+        if (count >= MAX_DEVICES_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can pair at most ${MAX_DEVICES_PER_USER} devices`
+            });
+        }
+
+        const device = new Device({
+            userId: req.user._id,
+            name: req.body.name,
+            type: req.body.type
+        });
+        const pairingCode = device.issuePairingCode();
+        await device.save();
+
+        console.log(`📟 Pairing started for device "${device.name}" (${device._id}) by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Enter the pairing code on your device',
+            device: device.toPublicJSON(),
+            pairingCode,
+            pairingExpiresAt: device.pairing.expiresAt
+        });
+
+    } catch (error) {
+        console.error('Start device pairing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start device pairing'
+        });
+    }
+});
+
+// Issue a fresh pairing code for a device that has not been paired yet
+router.post('/:id/pairing-code', authenticateUser, async (req, res) => {
+    try {
+        const device = await findOwnDevice(req, res);
+        if (!device) return;
+
+        if (device.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: 'Device is already paired'
+            });
+        }
+
+        const pairingCode = device.issuePairingCode();
+        await device.save();
+
+        res.json({
+            success: true,
+            pairingCode,
+            pairingExpiresAt: device.pairing.expiresAt
+        });
+
+    } catch (error) {
+        console.error('Reissue pairing code error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue pairing code'
+        });
+    }
+});
+
+// Rename a device
+router.put('/:id', authenticateUser, [
+    body('name').trim().notEmpty().withMessage('Device name is required')
+        .isLength({ max: 60 }).withMessage('Device name cannot exceed 60 characters')
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const device = await findOwnDevice(req, res);
+        if (!device) return;
+
+        device.name = req.body.name;
+        await device.save();
+
+        res.json({
+            success: true,
+            message: 'Device updated successfully',
+            device: device.toPublicJSON()
+        });
+
+    } catch (error) {
+        console.error('Update device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update device'
+        });
+    }
+});
+
+// Unpair a device; its credentials stop working immediately
+router.delete('/:id', authenticateUser, async (req, res) => {
+    try {
+        const device = await findOwnDevice(req, res);
+        if (!device) return;
+
+        device.status = 'revoked';
+        device.revokedAt = new Date();
+        device.secret = undefined;
+        device.pairing = undefined;
+        await device.save();
+
+        console.log(`📟 Device ${device._id} unpaired by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Device removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Remove device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove device'
+        });
+    }
+});
+
+// ===================================================================
+// DEVICE ENDPOINTS
+// ===================================================================
+
+// Complete pairing with the code shown on the dashboard.
+// The secret is returned only here; the device must store it.
+// A code stops working after MAX_PAIRING_ATTEMPTS wrong guesses.
+router.post('/pair', pairingIpLimiter, pairingCodeLimiter, [
+    body('pairingCode').trim().notEmpty().withMessage('Pairing code is required'),
+    body('hardwareId').optional().trim().isLength({ max: 100 }).withMessage('Hardware ID cannot exceed 100 characters'),
+    body('model').optional().trim().isLength({ max: 100 }).withMessage('Model cannot exceed 100 characters'),
+    body('firmwareVersion').optional().trim().isLength({ max: 40 }).withMessage('Firmware version cannot exceed 40 characters')
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const now = new Date();
+
+        // Claim the code atomically so it can only be used once
+        const device = await Device.findOneAndUpdate(
+            {
+                'pairing.codeHash': Device.hashPairingCode(req.body.pairingCode),
+                'pairing.expiresAt': { $gt: now },
+                'pairing.failedAttempts': { $not: { $gte: Device.MAX_PAIRING_ATTEMPTS } },
+                status: 'pending'
+            },
+            { $unset: { pairing: 1 } },
+            { new: true }
+        );
+
+        if (!device) {
+            // Count the miss against the code it was aimed at
+            const lookup = Device.getPairingLookup(req.body.pairingCode);
+            const { modifiedCount } = await Device.updateMany(
+                { 'pairing.lookup': lookup, 'pairing.expiresAt': { $gt: now }, status: 'pending' },
+                { $inc: { 'pairing.failedAttempts': 1 } }
+            );
+            if (modifiedCount > 0) {
+                console.warn(`⚠️ Wrong pairing code entered from ${req.ip}`);
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired pairing code'
+            });
+        }
+
+        const { hardwareId, model, firmwareVersion } = req.body;
+        const secret = device.activate({ hardwareId, model, firmwareVersion });
+        await device.save();
+
+        console.log(`📟 Device "${device.name}" (${device._id}) paired`);
+
+        res.json({
+            success: true,
+            message: 'Device paired successfully',
+            deviceId: device._id,
+            keyId: device.keyId,
+            secret,
+            heartbeatIntervalMinutes: HEARTBEAT_INTERVAL_MINUTES
+        });
+
+    } catch (error) {
+        console.error('Device pairing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to pair device'
+        });
+    }
+});
+
+// Battery / heartbeat report
+router.post('/heartbeat', authenticateDevice, [
+    body('batteryLevel').optional().isFloat({ min: 0, max: 100 }).withMessage('Battery level must be between 0 and 100'),
+    body('charging').optional().isBoolean().withMessage('charging must be a boolean'),
+    body('firmwareVersion').optional().trim().isLength({ max: 40 }).withMessage('Firmware version cannot exceed 40 characters'),
+    ...locationValidation
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const now = new Date();
+        const update = { lastHeartbeatAt: now, lastSeenAt: now };
+        const { batteryLevel, charging, firmwareVersion } = req.body;
+
+        if (batteryLevel != null) {
+            update.battery = {
+                level: Math.round(parseFloat(batteryLevel)),
+                charging: charging != null ? charging === true || charging === 'true' : undefined,
+                reportedAt: now
+            };
+        }
+        if (firmwareVersion) update.firmwareVersion = firmwareVersion;
+
+        await Device.updateOne({ _id: req.device._id }, { $set: update });
+
+        const fix = readFix(req.body);
+        if (fix) {
+            await User.recordLocation(req.user._id, { ...fix, recordedAt: now });
+        }
+
+        res.json({
+            success: true,
+            heartbeatIntervalMinutes: HEARTBEAT_INTERVAL_MINUTES,
+            serverTime: now
+        });
+
+    } catch (error) {
+        console.error('Device heartbeat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record heartbeat'
+        });
+    }
+});
+
+// Raise an SOS from the device
+router.post('/sos', authenticateDevice, [
+    body('alertType').optional().isIn(['emergency', 'medical', 'security', 'natural_disaster']).withMessage('Invalid alert type'),
+    body('clientAlertId').optional().custom(value => sosSync.isValidClientAlertId(value)).withMessage('Invalid clientAlertId'),
+    ...locationValidation
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const device = req.device;
+        const user = req.user;
+        const fix = readFix(req.body);
+
+        const raisedAt = sosSync.parseDeviceTimestamp(req.body.timestamp);
+        if (!raisedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timestamp'
+            });
+        }
+
+        // Repeated presses while the device's alert is open feed into that alert
+        const openAlert = await SOSLog.findOne({
+            deviceId: device._id,
+            status: { $in: SOSLog.OPEN_STATUSES }
+        }).select('-locationTrail');
+
+        if (openAlert) {
+            if (fix) {
+                const updated = await SOSLog.appendLocation({ _id: openAlert._id }, { ...fix, recordedAt: raisedAt });
+                if (updated) {
+                    incidentEvents.publish(updated._id, 'location', {
+                        location: updated.location,
+                        recordedAt: updated.lastLocationAt
+                    });
+                    await SOSLog.addLocationToTimeline(updated._id, { ...fix, recordedAt: raisedAt });
+                }
+            }
+
+            return res.json({
+                success: true,
+                message: 'Emergency alert already active',
+                alertId: openAlert._id,
+                status: openAlert.getUserStatus(),
+                duplicate: true
+            });
+        }
+
+        // Without its own fix the device reports where the app last saw the user
+        let location = fix;
+        if (!location && user.lastKnownLocation && user.lastKnownLocation.latitude != null) {
+            const { latitude, longitude, accuracy } = user.lastKnownLocation;
+            location = { latitude, longitude, accuracy };
+        }
+
+        console.log(`🚨 SOS Alert received from device "${device.name}" of user:`, user.username);
+
+        const { sosLog, created, throttled } = await createOrFindSOSAlert(user, {
+            location,
+            timestamp: raisedAt,
+            deviceTimestamp: req.body.timestamp ? raisedAt : undefined,
+            alertType: req.body.alertType,
+            source: 'device',
+            device,
+            clientAlertId: req.body.clientAlertId
+        });
+
+        if (created && fix) {
+            await User.recordLocation(user._id, { ...fix, recordedAt: raisedAt });
+        }
+
+        let message = created ? 'Emergency alert sent successfully' : 'Emergency alert already received';
+        if (throttled) {
+            message = 'Too many emergency alerts in a short time - alert sent to responders only';
+        }
+
+        res.json({
+            success: true,
+            message,
+            alertId: sosLog._id,
+            status: sosLog.getUserStatus(),
+            duplicate: !created,
+            throttled: throttled || null
+        });
+
+    } catch (error) {
+        console.error('Device SOS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send emergency alert'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+// ===================================================================
+// DIAGNOSTICS ROUTES - Notification Provider Console
+// ===================================================================
+// Admin-only checks of the SMS/email providers. Test messages can only
+// go to verified accounts, and every send is logged with its outcome.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const NotificationTest = require('../models/NotificationTest');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const notifications = require('../services/notifications');
+const router = express.Router();
+
+router.use(authenticateAdmin, requirePermission('system-settings'));
+
+// Resolve who a test goes to. Only users with a verified phone (SMS) or
+// email, or the requesting admin's own email, may receive tests.
+// Resolves with { recipient, to, locale } or { error }.
+async function resolveTestRecipient(channel, { userId, toSelf }, admin) {
+    if (toSelf) {
+        if (channel !== 'email') {
+            return { error: 'Admin accounts have no phone number; choose a verified user for SMS tests' };
+        }
+        return {
+            recipient: { kind: 'admin', id: admin._id, name: admin.username },
+            to: admin.email
+        };
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+        return { error: 'A verified user or toSelf is required' };
+    }
+
+    const user = await User.findById(userId).select('username phoneNumber email isPhoneVerified isEmailVerified language timeZone isActive');
+    if (!user || !user.isActive) {
+        return { error: 'User not found' };
+    }
+
+    if (channel === 'sms' && !(user.isPhoneVerified && user.phoneNumber)) {
+        return { error: 'Test SMS can only be sent to a verified phone number' };
+    }
+    if (channel === 'email' && !(user.isEmailVerified && user.email)) {
+        return { error: 'Test email can only be sent to a verified email address' };
+    }
+
+    return {
+        recipient: { kind: 'user', id: user._id, name: user.username },
+        to: channel === 'sms' ? user.phoneNumber : user.email,
+        locale: user
+    };
+}
+
+// Get the configured notification providers; ?live=true also checks their connections
+router.get('/providers', async (req, res) => {
+    try {
+        const status = await notifications.getProviderStatus({ live: req.query.live === 'true' });
+
+        res.json({
+            success: true,
+            ...status
+        });
+
+    } catch (error) {
+        console.error('Get provider status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check notification providers'
+        });
+    }
+});
+
+// Send a test message through a channel to a verified recipient
+router.post('/test', [
+    body('channel').isIn(['sms', 'email']).withMessage('Channel must be sms or email'),
+    body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    body('toSelf').optional().isBoolean().withMessage('toSelf must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { channel, userId } = req.body;
+        const toSelf = req.body.toSelf === true || req.body.toSelf === 'true';
+
+        const target = await resolveTestRecipient(channel, { userId, toSelf }, req.admin);
+        if (target.error) {
+            return res.status(400).json({
+                success: false,
+                message: target.error
+            });
+        }
+
+        let transportName;
+        try {
+            transportName = notifications.getTransport(channel).name;
+        } catch (error) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const test = new NotificationTest({
+            channel,
+            transport: transportName,
+            to: target.to,
+            recipient: target.recipient,
+            requestedBy: req.admin._id
+        });
+
+        const startedAt = Date.now();
+        try {
+            const result = await notifications.sendTemplate({
+                channel,
+                to: target.to,
+                subject: 'Tourist Safety System test message',
+                template: 'diagnostics.test',
+                params: { transport: transportName },
+                locale: target.locale,
+                meta: { type: 'diagnostics-test', testId: test._id }
+            });
+
+            test.status = 'sent';
+            test.to = result.to;
+            test.providerMessageId = result.providerMessageId;
+            test.providerStatus = result.status;
+        } catch (error) {
+            test.status = 'failed';
+            test.error = error.message;
+        }
+        test.durationMs = Date.now() - startedAt;
+        await test.save();
+
+        console.log(`🧪 Diagnostics ${channel} test via ${transportName} to ${test.to}: ${test.status}`);
+
+        res.status(test.status === 'sent' ? 200 : 502).json({
+            success: test.status === 'sent',
+            message: test.status === 'sent' ? 'Test message sent' : 'Test message failed',
+            test
+        });
+
+    } catch (error) {
+        console.error('Diagnostics test send error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send test message'
+        });
+    }
+});
+
+// Get the log of test sends
+router.get('/tests', async (req, res) => {
+    try {
+        const { page = 1, limit = 20, channel, status } = req.query;
+
+        const filter = {};
+        if (channel) filter.channel = channel;
+        if (status) filter.status = status;
+
+        const tests = await NotificationTest.find(filter)
+            .populate('requestedBy', 'fullName username')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await NotificationTest.countDocuments(filter);
+
+        res.json({
+            success: true,
+            tests,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get diagnostics tests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch test log'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,623 @@
+// ===================================================================
+// INCIDENT ROUTES - SOS Incident Management for Admins & Responders
+// ===================================================================
+// Move SOS alerts through their lifecycle (acknowledge, en-route, resolve)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const SOSLog = require('../models/SOSLog');
+const User = require('../models/User');
+const { authenticateAdmin, allowQueryToken, requirePermission } = require('../middleware/auth');
+const incidentEvents = require('../services/incidentEvents');
+const { revokeTracking } = require('../services/sosTracking');
+const sosChat = require('../services/sosChat');
+const SOSMessage = require('../models/SOSMessage');
+const sosEvidence = require('../services/sosEvidence');
+const sosDrills = require('../services/sosDrills');
+const { uploadEvidence, handleEvidenceUploadError } = require('../middleware/evidenceUpload');
+const router = express.Router();
+
+// Lifecycle actions exposed as endpoints, mapped to the status they set
+const STATUS_ACTIONS = {
+    'acknowledge': 'acknowledged',
+    'en-route': 'en-route',
+    'resolve': 'resolved',
+    'cancel': 'cancelled',
+    'false-alarm': 'false-alarm'
+};
+
+// Load the incident referenced by :id into req.sosLog
+const loadIncident = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid incident ID'
+            });
+        }
+
+        const sosLog = await SOSLog.findById(req.params.id);
+
+        if (!sosLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Incident not found'
+            });
+        }
+
+        req.sosLog = sosLog;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Evidence is limited to admins and the responder assigned to the incident
+const requireEvidenceAccess = (req, res, next) => {
+    if (!sosEvidence.canAdminAccess(req.admin, req.sosLog)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Only the assigned responder can access this incident\'s evidence'
+        });
+    }
+    next();
+};
+
+// EventSource cannot send headers, so the live feed takes ?token=
+router.use('/:id/stream', allowQueryToken);
+router.use(authenticateAdmin, requirePermission('respond-sos'));
+
+// ===================================================================
+// DRILLS
+// ===================================================================
+
+// Inject a practice incident for a user; its messages only reach the outbox
+router.post('/drills', [
+    body('userId').isMongoId().withMessage('Invalid user ID'),
+    body('alertType').optional().isIn(['emergency', 'medical', 'security', 'natural_disaster']).withMessage('Invalid alert type'),
+    body('location.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('location.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('scenario').optional().trim().isLength({ max: 500 }).withMessage('Scenario cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.admin.role === 'responder') {
+            return res.status(403).json({
+                success: false,
+                message: 'Responders cannot start drills'
+            });
+        }
+
+        const user = await User.findById(req.body.userId).select('-password');
+        if (!user || !user.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { location, alertType, scenario } = req.body;
+        const hasLocation = location && location.latitude != null && location.longitude != null;
+
+        const sosLog = await sosDrills.injectDrill(req.admin, user, {
+            alertType,
+            scenario,
+            location: hasLocation
+                ? { latitude: parseFloat(location.latitude), longitude: parseFloat(location.longitude) }
+                : null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Drill started',
+            incident: sosLog
+        });
+
+    } catch (error) {
+        console.error('Start drill error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start drill'
+        });
+    }
+});
+
+// Response timings across drills, optionally within ?from=&to=
+router.get('/drills/report', async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range'
+            });
+        }
+
+        const report = await sosDrills.getDrillSummary({ from, to });
+
+        res.json({
+            success: true,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Get drill report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build drill report'
+        });
+    }
+});
+
+// Report for a single drill, including the messages captured in the outbox
+router.get('/:id/drill-report', loadIncident, async (req, res) => {
+    try {
+        if (!req.sosLog.isDrill) {
+            return res.status(400).json({
+                success: false,
+                message: 'Incident is not a drill'
+            });
+        }
+
+        res.json({
+            success: true,
+            report: await sosDrills.getDrillReport(req.sosLog)
+        });
+
+    } catch (error) {
+        console.error('Get drill incident report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build drill report'
+        });
+    }
+});
+
+// ===================================================================
+// INCIDENT LISTING
+// ===================================================================
+
+// Get incidents with filters
+router.get('/', async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, alertType, open, drill } = req.query;
+
+        // Only known values reach the query, never operator objects
+        if ((status && !SOSLog.schema.path('status').enumValues.includes(status)) ||
+            (alertType && !SOSLog.schema.path('alertType').enumValues.includes(alertType))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status or alert type'
+            });
+        }
+
+        const filter = {};
+
+        if (status) filter.status = status;
+        if (alertType) filter.alertType = alertType;
+        if (open === 'true') filter.status = { $in: SOSLog.OPEN_STATUSES };
+        if (drill === 'only') filter.isDrill = true;
+        if (drill === 'exclude') Object.assign(filter, sosDrills.PRODUCTION_FILTER);
+
+        const incidents = await SOSLog.find(filter)
+            .select('-locationTrail -timeline')
+            .populate('assignedTo', 'fullName username role')
+            .sort({ timestamp: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SOSLog.countDocuments(filter);
+
+        res.json({
+            success: true,
+            incidents,
+            pagination: {
+                current: page,
+                pages: Math.ceil(total / limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get incidents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch incidents'
+        });
+    }
+});
+
+// Get incident details
+router.get('/:id', loadIncident, async (req, res) => {
+    try {
+        await req.sosLog.populate('assignedTo', 'fullName username role');
+
+        const attachments = sosEvidence.canAdminAccess(req.admin, req.sosLog)
+            ? await sosEvidence.listAttachments(req.sosLog._id)
+            : undefined;
+
+        res.json({
+            success: true,
+            incident: req.sosLog,
+            attachments,
+            deliverySummary: req.sosLog.getDeliverySummary(),
+            allowedTransitions: SOSLog.STATUS_TRANSITIONS[req.sosLog.status]
+        });
+
+    } catch (error) {
+        console.error('Get incident error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch incident'
+        });
+    }
+});
+
+// Get the incident's location breadcrumb trail
+router.get('/:id/trail', loadIncident, async (req, res) => {
+    res.json({
+        success: true,
+        location: req.sosLog.location,
+        trail: req.sosLog.locationTrail
+    });
+});
+
+// Get the incident's timeline, oldest first (optionally only entries after ?since=)
+router.get('/:id/timeline', loadIncident, async (req, res) => {
+    const since = req.query.since ? new Date(req.query.since) : null;
+
+    const timeline = since && !isNaN(since)
+        ? req.sosLog.timeline.filter(entry => entry.at > since)
+        : req.sosLog.timeline;
+
+    res.json({
+        success: true,
+        timeline
+    });
+});
+
+// Add a free-text note to the incident timeline
+router.post('/:id/notes', loadIncident, [
+    body('text').trim().notEmpty().withMessage('Note text is required')
+        .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const sosLog = req.sosLog;
+        sosLog.addTimelineEntry({
+            type: 'note',
+            message: req.body.text,
+            author: { kind: req.admin.role === 'responder' ? 'responder' : 'admin', id: req.admin._id, name: req.admin.username }
+        });
+        await sosLog.save();
+
+        const entry = sosLog.timeline[sosLog.timeline.length - 1];
+        incidentEvents.publish(sosLog._id, 'timeline', entry.toObject());
+
+        res.status(201).json({
+            success: true,
+            message: 'Note added',
+            entry
+        });
+
+    } catch (error) {
+        console.error('Add incident note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add note'
+        });
+    }
+});
+
+// Live feed of the incident's position and status (Server-Sent Events)
+router.get('/:id/stream', loadIncident, (req, res) => {
+    const sosLog = req.sosLog;
+
+    incidentEvents.streamIncident(req, res, sosLog._id, {
+        initialEvents: [
+            { type: 'status', data: { status: sosLog.status } },
+            { type: 'location', data: { location: sosLog.location, recordedAt: sosLog.lastLocationAt || sosLog.timestamp } }
+        ],
+        filter: sosEvidence.canAdminAccess(req.admin, sosLog)
+            ? undefined
+            : event => (event.type === 'attachment' ? null : event)
+    });
+});
+
+// Turn off the incident's public tracking link
+router.post('/:id/tracking/revoke', loadIncident, async (req, res) => {
+    try {
+        const revoked = await revokeTracking(req.sosLog._id, 'admin', req.admin);
+
+        console.log(`🔒 Tracking link for incident ${req.sosLog._id} revoked by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            message: revoked ? 'Tracking link turned off' : 'Tracking link was already turned off'
+        });
+
+    } catch (error) {
+        console.error('Revoke tracking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to turn off tracking link'
+        });
+    }
+});
+
+// ===================================================================
+// INCIDENT CHAT
+// ===================================================================
+
+// Get the conversation with the tourist
+router.get('/:id/messages', loadIncident, async (req, res) => {
+    try {
+        const messages = await SOSMessage.find({ sosLogId: req.sosLog._id }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            messages,
+            chatOpen: sosChat.isChatOpen(req.sosLog)
+        });
+
+    } catch (error) {
+        console.error('Get incident messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load messages'
+        });
+    }
+});
+
+// Send a message to the tourist (relayed by SMS if unread in the app)
+router.post('/:id/messages', loadIncident, [
+    body('body').trim().notEmpty().withMessage('Message text is required')
+        .isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const sosLog = req.sosLog;
+
+        if (sosLog.isDuress) {
+            return res.status(409).json({
+                success: false,
+                message: 'Chat is disabled: the traveller cancelled under duress. Do not contact their phone.'
+            });
+        }
+
+        if (!sosLog.isOpen) {
+            return res.status(409).json({
+                success: false,
+                message: `Incident is already ${sosLog.status}`
+            });
+        }
+
+        const message = await sosChat.postMessage(sosLog, sosChat.operatorParticipant(req.admin), req.body.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent',
+            chatMessage: message
+        });
+
+    } catch (error) {
+        console.error('Send incident message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send message'
+        });
+    }
+});
+
+// Mark the tourist's messages as read
+router.post('/:id/messages/read', loadIncident, async (req, res) => {
+    try {
+        const updated = await sosChat.markRead(req.sosLog._id, sosChat.operatorParticipant(req.admin));
+
+        res.json({
+            success: true,
+            updated
+        });
+
+    } catch (error) {
+        console.error('Mark incident messages read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark messages as read'
+        });
+    }
+});
+
+// ===================================================================
+// INCIDENT EVIDENCE
+// ===================================================================
+
+// List photos and audio attached to the incident
+router.get('/:id/attachments', loadIncident, requireEvidenceAccess, async (req, res) => {
+    try {
+        const attachments = await sosEvidence.listAttachments(req.sosLog._id);
+
+        res.json({
+            success: true,
+            attachments
+        });
+
+    } catch (error) {
+        console.error('Get incident attachments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load attachments'
+        });
+    }
+});
+
+// Refuse uploads to a closed or full incident before the file is accepted
+const checkEvidenceAllowed = async (req, res, next) => {
+    try {
+        if (!req.sosLog.isOpen) {
+            return res.status(409).json({
+                success: false,
+                message: `Incident is already ${req.sosLog.status}`
+            });
+        }
+
+        const quotaMessage = await sosEvidence.checkQuota(req.sosLog._id);
+        if (quotaMessage) {
+            return res.status(413).json({
+                success: false,
+                message: quotaMessage
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Attach a photo or audio clip gathered by a responder
+router.post('/:id/attachments', loadIncident, requireEvidenceAccess, checkEvidenceAllowed, uploadEvidence, handleEvidenceUploadError, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+        if (caption.length > 500) {
+            sosEvidence.discardUpload(req.file);
+            return res.status(400).json({
+                success: false,
+                message: 'Caption cannot exceed 500 characters'
+            });
+        }
+
+        const attachment = await sosEvidence.saveAttachment(req.sosLog, req.file, sosChat.operatorParticipant(req.admin), caption || undefined);
+
+        res.status(201).json({
+            success: true,
+            message: 'Attachment uploaded',
+            attachment
+        });
+
+    } catch (error) {
+        sosEvidence.discardUpload(req.file);
+
+        if (error.status === 413) {
+            return res.status(413).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Upload incident attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload attachment'
+        });
+    }
+});
+
+// Download an attachment
+router.get('/:id/attachments/:attachmentId/file', loadIncident, requireEvidenceAccess, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.attachmentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid attachment ID'
+            });
+        }
+
+        await sosEvidence.sendAttachmentFile(res, req.sosLog._id, req.params.attachmentId);
+
+    } catch (error) {
+        console.error('Download incident attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load attachment'
+        });
+    }
+});
+
+// ===================================================================
+// INCIDENT LIFECYCLE
+// ===================================================================
+
+// Acknowledge / en-route / resolve / cancel / false-alarm
+router.post('/:id/:action(acknowledge|en-route|resolve|cancel|false-alarm)', loadIncident, [
+    body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const sosLog = req.sosLog;
+        const nextStatus = STATUS_ACTIONS[req.params.action];
+
+        if (!sosLog.canTransitionTo(nextStatus)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot change incident status from ${sosLog.status} to ${nextStatus}`,
+                status: sosLog.status,
+                allowedTransitions: SOSLog.STATUS_TRANSITIONS[sosLog.status]
+            });
+        }
+
+        sosLog.transitionTo(nextStatus, { admin: req.admin, notes: req.body.notes });
+        await sosLog.save();
+
+        incidentEvents.publish(sosLog._id, 'status', { status: sosLog.status });
+
+        console.log(`🚓 Incident ${sosLog._id} moved to ${nextStatus} by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            message: `Incident marked as ${nextStatus}`,
+            incident: sosLog
+        });
+
+    } catch (error) {
+        console.error('Incident status update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update incident status'
+        });
+    }
+});
+
+module.exports = router;
@@ -6,11 +6,7 @@ const express = require('express');
 const User = require('../models/User');
 const { authenticateUser } = require('../middleware/auth');
 
-// Twilio setup for OTP
-const twilio = require('twilio');
-const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN 
-    ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN) 
-    : null;
+const notifications = require('../services/notifications');
 
 const router = express.Router();
 
@@ -38,28 +34,29 @@ router.post('/send-otp', authenticateUser, async (req, res) => {
         const otp = user.generateOTP();
         await user.save();
 
-        // Send OTP via SMS (if Twilio is configured)
-        if (twilioClient) {
-            try {
-                await twilioClient.messages.create({
-                    body: `Your Tourist Safety System verification code is: ${otp}. Valid for 10 minutes.`,
-                    from: process.env.TWILIO_PHONE_NUMBER,
-                    to: user.phoneNumber
-                });
-                
-                console.log(`OTP sent to ${user.phoneNumber}: ${otp}`);
-            } catch (smsError) {
-                console.error('SMS sending failed:', smsError);
-                // Continue anyway - OTP is still generated and can be used
-                console.log(`⚠️ SMS failed, but OTP generated for ${user.phoneNumber}: ${otp}`);
-            }
-        } else {
-            console.log(`OTP generated for ${user.phoneNumber}: ${otp} (Twilio not configured)`);
+        // Send OTP via SMS through the configured transport
+        try {
+            const result = await notifications.sendTemplate({
+                channel: 'sms',
+                to: user.phoneNumber,
+                template: 'otp.code',
+                params: { otp },
+                locale: user,
+                meta: { type: 'otp', userId: user._id }
+            });
+            
+            console.log(`📱 OTP sent to ${user.phoneNumber} via ${result.transport}`);
+        } catch (smsError) {
+            console.error('SMS sending failed:', smsError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send OTP'
+            });
         }
 
         res.json({
             success: true,
-            message: 'OTP sent successfully to your phone number. Check server console for OTP if SMS failed.'
+            message: 'OTP sent successfully to your phone number'
         });
 
     } catch (error) {
@@ -0,0 +1,229 @@
+// ===================================================================
+// RESPONDER ROUTES - Emergency Agency Directory
+// ===================================================================
+// Admin management of responders and their jurisdictions
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Responder = require('../models/Responder');
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { findRespondersForAlert, getAgencyTypes } = require('../services/responderRouting');
+const router = express.Router();
+
+const responderValidation = [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('agencyType').isIn(['police', 'tourist_police', 'hospital', 'disaster_response']).withMessage('Invalid agency type'),
+    body('jurisdiction.type').optional().isIn(['Polygon', 'MultiPolygon']).withMessage('Jurisdiction must be a GeoJSON Polygon or MultiPolygon'),
+    body('jurisdiction.coordinates').optional().isArray().withMessage('Jurisdiction coordinates must be an array'),
+    body('contactChannels').isArray({ min: 1 }).withMessage('At least one contact channel is required'),
+    body('contactChannels.*.channel').isIn(['sms', 'email']).withMessage('Contact channel must be sms or email'),
+    body('contactChannels.*.address').trim().notEmpty().withMessage('Contact address is required'),
+    body('isFallback').optional().isBoolean().withMessage('isFallback must be a boolean')
+];
+
+router.use(authenticateAdmin);
+
+// Get responders
+router.get('/', async (req, res) => {
+    try {
+        const { agencyType, includeInactive } = req.query;
+
+        const filter = {};
+        if (agencyType) filter.agencyType = agencyType;
+        if (includeInactive !== 'true') filter.isActive = true;
+
+        const responders = await Responder.find(filter).sort({ agencyType: 1, name: 1 });
+
+        res.json({
+            success: true,
+            responders
+        });
+
+    } catch (error) {
+        console.error('Get responders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch responders'
+        });
+    }
+});
+
+// Preview which responders an alert at a location would be routed to
+router.get('/match', [
+    query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    query('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    query('alertType').optional().isIn(['emergency', 'medical', 'security', 'natural_disaster']).withMessage('Invalid alert type')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { latitude, longitude, alertType = 'emergency' } = req.query;
+        const location = latitude != null && longitude != null
+            ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+            : null;
+
+        const responders = await findRespondersForAlert({ alertType, location });
+
+        res.json({
+            success: true,
+            agencyTypes: getAgencyTypes(alertType),
+            responders
+        });
+
+    } catch (error) {
+        console.error('Match responders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to match responders'
+        });
+    }
+});
+
+// Add responder
+router.post('/', requirePermission('system-settings'), responderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, agencyType, address, jurisdiction, isFallback, contactChannels } = req.body;
+
+        const responder = new Responder({
+            name,
+            agencyType,
+            address,
+            jurisdiction,
+            isFallback,
+            contactChannels,
+            createdBy: req.admin._id
+        });
+
+        await responder.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Responder added successfully',
+            responder
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Add responder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add responder'
+        });
+    }
+});
+
+// Update responder
+router.put('/:id', requirePermission('system-settings'), responderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid responder ID'
+            });
+        }
+
+        const responder = await Responder.findById(req.params.id);
+        if (!responder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Responder not found'
+            });
+        }
+
+        const { name, agencyType, address, jurisdiction, isFallback, contactChannels, isActive } = req.body;
+
+        responder.name = name;
+        responder.agencyType = agencyType;
+        responder.address = address;
+        responder.jurisdiction = jurisdiction;
+        responder.isFallback = !!isFallback;
+        responder.contactChannels = contactChannels;
+        if (isActive !== undefined) responder.isActive = !!isActive;
+
+        await responder.save();
+
+        res.json({
+            success: true,
+            message: 'Responder updated successfully',
+            responder
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update responder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update responder'
+        });
+    }
+});
+
+// Deactivate responder (kept for incident history)
+router.delete('/:id', requirePermission('system-settings'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid responder ID'
+            });
+        }
+
+        const responder = await Responder.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!responder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Responder not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Responder deactivated successfully'
+        });
+
+    } catch (error) {
+        console.error('Deactivate responder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate responder'
+        });
+    }
+});
+
+module.exports = router;
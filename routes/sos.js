@@ -4,53 +4,121 @@
 // Handle emergency SOS alerts and notifications
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, allowQueryToken } = require('../middleware/auth');
 const SOSLog = require('../models/SOSLog');
-const twilio = require('twilio');
+const User = require('../models/User');
+const { createOrFindSOSAlert, markDuress, escalateDuress } = require('../services/sosAlerts');
+const incidentEvents = require('../services/incidentEvents');
+const { acknowledgeByToken } = require('../services/sosAcknowledgements');
+const { getActiveTrackingUrl, revokeTracking } = require('../services/sosTracking');
+const sosChat = require('../services/sosChat');
+const SOSMessage = require('../models/SOSMessage');
+const sosEvidence = require('../services/sosEvidence');
+const { uploadEvidence, handleEvidenceUploadError } = require('../middleware/evidenceUpload');
+const sosSync = require('../services/sosSync');
 
-// Initialize Twilio client
-const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// Load the user's own alert referenced by :alertId into req.sosLog
+const loadOwnAlert = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.alertId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        const sosLog = await SOSLog.findOne({ _id: req.params.alertId, userId: req.user._id }).select('-locationTrail');
+
+        if (!sosLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        req.sosLog = sosLog;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// EventSource cannot send headers, so the chat feed takes ?token=
+router.use('/:alertId/messages/stream', allowQueryToken);
 
 // Trigger SOS Alert
+// Retries carrying the same clientAlertId (or Idempotency-Key header)
+// return the original alert instead of raising a new one. drill: true
+// raises a practice alert whose messages only reach the outbox.
 router.post('/trigger', authenticateUser, async (req, res) => {
     try {
-        const { location, timestamp, userInfo } = req.body;
+        const { location, timestamp, userInfo, alertType } = req.body;
+        const isDrill = req.body.drill === true || req.body.drill === 'true';
+        const clientAlertId = req.body.clientAlertId || req.get('Idempotency-Key');
         const user = req.user;
 
+        if (alertType && !SOSLog.schema.path('alertType').enumValues.includes(alertType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert type'
+            });
+        }
+
+        if (clientAlertId && !sosSync.isValidClientAlertId(clientAlertId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid clientAlertId'
+            });
+        }
+
+        const raisedAt = sosSync.parseDeviceTimestamp(timestamp);
+        if (!raisedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timestamp'
+            });
+        }
+
         console.log('🚨 SOS Alert received from user:', user.username);
         console.log('📱 User phone number:', user.phoneNumber);
         console.log('🆘 Emergency contact:', user.emergencyContact);
 
-        // Create SOS log entry
-        const sosLog = new SOSLog({
-            userId: user._id,
-            userInfo: {
-                fullName: user.fullName,
-                email: user.email,
-                phoneNumber: user.phoneNumber,
-                touristType: user.touristType,
-                username: user.username
-            },
-            location: location || null,
-            timestamp: timestamp || new Date(),
-            status: 'active',
-            alertType: 'emergency',
-            emergencyContacts: user.emergencyContact ? [user.emergencyContact] : []
+        const { sosLog, created, merged, throttled } = await createOrFindSOSAlert(user, {
+            location,
+            timestamp: raisedAt,
+            deviceTimestamp: timestamp ? raisedAt : undefined,
+            alertType,
+            source: 'app',
+            clientAlertId,
+            drill: isDrill ? { startedBy: { kind: 'user', id: user._id, name: user.username } } : undefined
         });
 
-        await sosLog.save();
-
-        // Send SMS alerts using Twilio
-        await sendSOSAlerts(user, location, sosLog._id);
+        if (throttled) {
+            console.log('⚠️ SOS Alert over the rate limit, sent to responders only:', sosLog._id);
+        } else if (created) {
+            console.log('✅ SOS Alert logged and SMS queued successfully:', sosLog._id);
+        } else {
+            console.log('🔁 Duplicate SOS submission matched to existing alert:', sosLog._id);
+        }
 
-        console.log('✅ SOS Alert logged and SMS sent successfully:', sosLog._id);
+        let message = created ? 'Emergency alert sent successfully' : 'Emergency alert already received';
+        if (throttled) {
+            message = 'Too many emergency alerts in a short time - your alert was sent to responders only. If you are in immediate danger, call 112.';
+        }
 
         res.json({
             success: true,
-            message: 'Emergency alert sent successfully',
+            message,
             alertId: sosLog._id,
-            timestamp: sosLog.timestamp
+            timestamp: sosLog.timestamp,
+            status: sosLog.getUserStatus(),
+            duplicate: !created,
+            merged: !!merged,
+            throttled: throttled || null,
+            isDrill: sosLog.isDrill,
+            trackingUrl: getActiveTrackingUrl(sosLog)
         });
 
     } catch (error) {
@@ -62,16 +130,54 @@ router.post('/trigger', authenticateUser, async (req, res) => {
     }
 });
 
+// Upload alerts and location pings queued while the device was offline
+router.post('/sync', authenticateUser, async (req, res) => {
+    try {
+        const { alerts = [], locations = [] } = req.body;
+
+        if (!Array.isArray(alerts) || !Array.isArray(locations)) {
+            return res.status(400).json({
+                success: false,
+                message: 'alerts and locations must be arrays'
+            });
+        }
+
+        if (alerts.length > sosSync.MAX_ALERTS_PER_SYNC || locations.length > sosSync.MAX_LOCATIONS_PER_SYNC) {
+            return res.status(413).json({
+                success: false,
+                message: `Sync at most ${sosSync.MAX_ALERTS_PER_SYNC} alerts and ${sosSync.MAX_LOCATIONS_PER_SYNC} locations per request`
+            });
+        }
+
+        const result = await sosSync.syncOfflineQueue(req.user, { alerts, locations });
+
+        res.json({
+            success: true,
+            message: 'Offline queue synced',
+            ...result
+        });
+
+    } catch (error) {
+        console.error('SOS Sync error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sync offline queue'
+        });
+    }
+});
+
 // Get SOS history for user
 router.get('/history', authenticateUser, async (req, res) => {
     try {
+        // The breadcrumb trail and timeline can be large; history needs neither
         const sosLogs = await SOSLog.find({ userId: req.user._id })
+            .select('-locationTrail -timeline')
             .sort({ timestamp: -1 })
             .limit(10);
 
         res.json({
             success: true,
-            alerts: sosLogs
+            alerts: sosLogs.map(sosLog => sosLog.toUserJSON())
         });
 
     } catch (error) {
@@ -83,169 +189,462 @@ router.get('/history', authenticateUser, async (req, res) => {
     }
 });
 
-// Test SMS route (no auth for testing)
-router.post('/test-sms', async (req, res) => {
+// Cancel own SOS alert
+router.post('/:alertId/cancel', authenticateUser, async (req, res) => {
     try {
-        const { phoneNumber } = req.body;
-        
-        // Mock user for testing
-        const user = {
-            username: 'testuser',
-            phoneNumber: phoneNumber || '+919876543210'
-        };
-        
-        console.log('🧪 Testing SMS to:', phoneNumber);
-        console.log('👤 User data:', {
-            username: user.username,
-            phoneNumber: user.phoneNumber,
-            emergencyContact: user.emergencyContact
-        });
-        
-        // Format phone number
-        function formatPhoneNumber(phone) {
-            if (!phone) return null;
-            let cleaned = phone.replace(/\D/g, '');
-            if (cleaned.length === 10) {
-                cleaned = '91' + cleaned;
+        const { alertId } = req.params;
+        const { reason, pin } = req.body;
+
+        if (!mongoose.isValidObjectId(alertId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        const sosLog = await SOSLog.findOne({ _id: alertId, userId: req.user._id });
+
+        if (!sosLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        const userStatus = sosLog.getUserStatus();
+        if (userStatus === 'cancelled' || !sosLog.canTransitionTo('cancelled')) {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${userStatus}`,
+                status: userStatus
+            });
+        }
+
+        // Once PINs are configured, cancelling requires one of them
+        const user = await User.findById(req.user._id).select('+sosCancelPin +sosDuressPin');
+        let pinType = null;
+
+        if (user.sosCancelPin || user.sosDuressPin) {
+            // Count the attempt before checking, so parallel guesses can't pass the limit
+            const attempt = await SOSLog.findOneAndUpdate(
+                { _id: sosLog._id, cancelPinAttempts: { $not: { $gte: SOSLog.MAX_CANCEL_PIN_ATTEMPTS } } },
+                { $inc: { cancelPinAttempts: 1 } },
+                { new: true }
+            ).select('cancelPinAttempts');
+
+            if (!attempt) {
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many incorrect PIN attempts. The alert stays active; contact the helpline to close it.'
+                });
             }
-            if (!cleaned.startsWith('+')) {
-                cleaned = '+' + cleaned;
+
+            pinType = await user.checkSOSPin(pin);
+
+            if (!pinType) {
+                if (attempt.cancelPinAttempts >= SOSLog.MAX_CANCEL_PIN_ATTEMPTS) {
+                    await SOSLog.addTimelineEntry(sosLog._id, {
+                        type: 'note',
+                        message: `Cancel locked after ${attempt.cancelPinAttempts} incorrect PIN attempts - alert stays active`,
+                        author: { kind: 'system' }
+                    });
+                    console.warn(`⚠️ SOS cancel locked on alert ${sosLog._id} after incorrect PINs`);
+                }
+
+                return res.status(403).json({
+                    success: false,
+                    message: 'Incorrect PIN'
+                });
             }
-            return cleaned;
-        }
-        
-        const testPhone = formatPhoneNumber(phoneNumber || user.phoneNumber);
-        console.log('📱 Formatted test phone:', testPhone);
-        
-        const currentTime = new Date().toLocaleTimeString('en-IN', { 
-            timeZone: 'Asia/Kolkata',
-            hour12: true,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-
-        const testMessage = await client.messages.create({
-            body: `🚨 EMERGENCY ALERT 🚨
-Location: GPS unavailable
-Time: ${currentTime}
-Please call back immediately!`,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: testPhone
-        });
-        
-        console.log('✅ Test SMS sent successfully. SID:', testMessage.sid);
-        
+        }
+
+        let duressLog = null;
+        if (pinType === 'duress') {
+            // Looks exactly like a normal cancel to whoever is holding the phone
+            duressLog = await markDuress(sosLog._id);
+        } else {
+            sosLog.transitionTo('cancelled', { cancelledBy: 'user', notes: reason });
+            await sosLog.save();
+
+            incidentEvents.publish(sosLog._id, 'status', { status: sosLog.status });
+
+            console.log('🛑 SOS Alert cancelled by user:', req.user.username, sosLog._id);
+        }
+
         res.json({
             success: true,
-            message: 'Test SMS sent successfully',
-            sid: testMessage.sid,
-            to: testPhone
+            message: 'Emergency alert cancelled',
+            alertId: sosLog._id,
+            status: 'cancelled'
         });
-        
+
+        // Responders are alerted after replying, so a duress cancel is not slower
+        if (duressLog) {
+            escalateDuress(duressLog).catch(error => console.error('Duress escalation error:', error));
+        }
+
     } catch (error) {
-        console.error('❌ Test SMS failed:', error);
+        console.error('SOS Cancel error:', error);
         res.status(500).json({
             success: false,
-            message: 'Test SMS failed',
-            error: error.message
+            message: 'Failed to cancel emergency alert'
         });
     }
 });
 
-// Function to send SOS alerts via SMS
-async function sendSOSAlerts(user, location, alertId) {
+// Push a live location update for an active SOS alert
+router.post('/:alertId/location', authenticateUser, async (req, res) => {
     try {
-        const currentTime = new Date().toLocaleTimeString('en-IN', { 
-            timeZone: 'Asia/Kolkata',
-            hour12: true,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-
-        const baseMessage = location 
-            ? `🚨 EMERGENCY ALERT 🚨
-Location: https://maps.google.com/maps?q=${location.latitude},${location.longitude}
-Time: ${currentTime}
-Please call back immediately!`
-            : `🚨 EMERGENCY ALERT 🚨
-Location: GPS unavailable
-Time: ${currentTime}
-Please call back immediately!`;
-        
-        console.log('📧 Base emergency message content:', baseMessage);
-        console.log('📞 Twilio from number:', process.env.TWILIO_PHONE_NUMBER);
-        
-        // Format phone numbers to E.164 format
-        function formatPhoneNumber(phone) {
-            if (!phone) return null;
-            // Remove all non-digits
-            let cleaned = phone.replace(/\D/g, '');
-            // Add +91 if it's an Indian number without country code
-            if (cleaned.length === 10) {
-                cleaned = '91' + cleaned;
-            }
-            // Add + if not present
-            if (!cleaned.startsWith('+')) {
-                cleaned = '+' + cleaned;
+        const { alertId } = req.params;
+        const { latitude, longitude, accuracy, timestamp } = req.body;
+
+        if (!mongoose.isValidObjectId(alertId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid coordinates'
+            });
+        }
+
+        const recordedAt = timestamp && !isNaN(new Date(timestamp)) ? new Date(timestamp) : new Date();
+
+        const sosLog = await SOSLog.appendLocation(
+            { _id: alertId, userId: req.user._id },
+            { latitude: lat, longitude: lng, accuracy: accuracy != null ? parseFloat(accuracy) : undefined, recordedAt }
+        );
+
+        if (!sosLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active alert found'
+            });
+        }
+
+        incidentEvents.publish(sosLog._id, 'location', {
+            location: sosLog.location,
+            recordedAt: sosLog.lastLocationAt
+        });
+
+        await User.recordLocation(req.user._id, { latitude: lat, longitude: lng, accuracy: sosLog.location.accuracy, recordedAt });
+        await SOSLog.addLocationToTimeline(sosLog._id, { latitude: lat, longitude: lng, accuracy: sosLog.location.accuracy, recordedAt });
+
+        res.json({
+            success: true,
+            message: 'Location updated',
+            alertId: sosLog._id,
+            status: sosLog.getUserStatus()
+        });
+
+    } catch (error) {
+        console.error('SOS Location update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update location'
+        });
+    }
+});
+
+// Turn off the public tracking link for own alert
+router.post('/:alertId/tracking/revoke', authenticateUser, async (req, res) => {
+    try {
+        const { alertId } = req.params;
+
+        if (!mongoose.isValidObjectId(alertId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid alert ID'
+            });
+        }
+
+        const sosLog = await SOSLog.findOne({ _id: alertId, userId: req.user._id }).select('_id');
+
+        if (!sosLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        const revoked = await revokeTracking(sosLog._id, 'user');
+
+        res.json({
+            success: true,
+            message: revoked ? 'Tracking link turned off' : 'Tracking link was already turned off'
+        });
+
+    } catch (error) {
+        console.error('SOS Tracking revoke error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to turn off tracking link'
+        });
+    }
+});
+
+// ===================================================================
+// SOS CHAT
+// ===================================================================
+
+// Get the conversation with responders for own alert
+router.get('/:alertId/messages', authenticateUser, loadOwnAlert, async (req, res) => {
+    try {
+        const messages = await SOSMessage.find({ sosLogId: req.sosLog._id }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            messages,
+            chatOpen: sosChat.isChatOpen(req.sosLog)
+        });
+
+    } catch (error) {
+        console.error('SOS Chat history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load messages'
+        });
+    }
+});
+
+// Send a message to responders
+router.post('/:alertId/messages', authenticateUser, loadOwnAlert, async (req, res) => {
+    try {
+        const text = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+        if (!text || text.length > 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message must be between 1 and 1000 characters'
+            });
+        }
+
+        if (!sosChat.isChatOpen(req.sosLog)) {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${req.sosLog.getUserStatus()}`,
+                status: req.sosLog.getUserStatus()
+            });
+        }
+
+        const message = await sosChat.postMessage(req.sosLog, sosChat.userParticipant(req.sosLog), text);
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent',
+            chatMessage: message
+        });
+
+    } catch (error) {
+        console.error('SOS Chat send error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send message'
+        });
+    }
+});
+
+// Mark responders' messages as read
+router.post('/:alertId/messages/read', authenticateUser, loadOwnAlert, async (req, res) => {
+    try {
+        const updated = await sosChat.markRead(req.sosLog._id, sosChat.userParticipant(req.sosLog));
+
+        res.json({
+            success: true,
+            updated
+        });
+
+    } catch (error) {
+        console.error('SOS Chat read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark messages as read'
+        });
+    }
+});
+
+// Live chat feed for own alert (Server-Sent Events)
+router.get('/:alertId/messages/stream', authenticateUser, loadOwnAlert, (req, res) => {
+    const sosLog = req.sosLog;
+
+    incidentEvents.streamIncident(req, res, sosLog._id, {
+        initialEvents: [{ type: 'status', data: { status: sosLog.getUserStatus() } }],
+        filter: event => {
+            // A duress cancel must look like a normal cancel on the tourist's phone
+            if (event.type === 'duress') {
+                return { type: 'status', at: event.at, data: { status: 'cancelled' } };
             }
-            return cleaned;
-        }
-        
-        // Function to send triple SMS with 2 second intervals
-        async function sendTripleSMS(phoneNumber, messageType) {
-            console.log(`📱 Sending triple SMS to ${phoneNumber} (${messageType})`);
-            
-            for (let i = 0; i < 3; i++) {
-                try {
-                    const result = await client.messages.create({
-                        body: baseMessage,
-                        from: process.env.TWILIO_PHONE_NUMBER,
-                        to: phoneNumber
-                    });
-                    console.log(`✅ ${messageType} SMS ${i + 1}/3 sent successfully. SID:`, result.sid);
-                    
-                    // Wait 2 seconds before sending next message (except for the last one)
-                    if (i < 2) {
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                    }
-                } catch (error) {
-                    console.log(`⚠️ ${messageType} SMS ${i + 1}/3 failed:`, error.message);
-                }
+            if (['status', 'chat-message', 'chat-read', 'attachment'].includes(event.type)) {
+                return event;
             }
+            return null;
+        },
+        closeWhen: event => event.type === 'duress' ||
+            (event.type === 'status' && !SOSLog.OPEN_STATUSES.includes(event.data.status))
+    });
+});
+
+// ===================================================================
+// SOS EVIDENCE
+// ===================================================================
+
+// Refuse uploads to a closed or full alert before the file is accepted
+const checkEvidenceAllowed = async (req, res, next) => {
+    try {
+        if (!sosEvidence.isUploadOpen(req.sosLog)) {
+            return res.status(409).json({
+                success: false,
+                message: `Alert is already ${req.sosLog.getUserStatus()}`,
+                status: req.sosLog.getUserStatus()
+            });
         }
 
-        // Send all SMS messages in parallel for fastest delivery
-        const smsPromises = [];
-        
-        // Send to dummy police number
-        const policeNumber = '+919876543210';
-        smsPromises.push(sendTripleSMS(policeNumber, 'Police'));
-        
-        // Send to user's emergency contacts
-        if (user.emergencyContact && user.emergencyContact.phoneNumber) {
-            const emergencyPhone = formatPhoneNumber(user.emergencyContact.phoneNumber);
-            console.log('📱 Formatted emergency contact:', emergencyPhone);
-            smsPromises.push(sendTripleSMS(emergencyPhone, 'Emergency Contact'));
-        }
-        
-        // Send confirmation to user
-        if (user.phoneNumber) {
-            const userPhone = formatPhoneNumber(user.phoneNumber);
-            console.log('📱 Formatted user phone:', userPhone);
-            smsPromises.push(sendTripleSMS(userPhone, 'User Confirmation'));
-        } else {
-            console.log('⚠️ No user phone number found');
+        const quotaMessage = await sosEvidence.checkQuota(req.sosLog._id);
+        if (quotaMessage) {
+            return res.status(413).json({
+                success: false,
+                message: quotaMessage
+            });
         }
-        
-        // Execute all SMS sends simultaneously
-        await Promise.all(smsPromises);
-        console.log('🚀 All SMS messages sent in parallel');
-        
+
+        next();
     } catch (error) {
-        console.error('❌ SMS Alert system error:', error);
+        next(error);
     }
-}
+};
+
+// Upload a photo or audio clip to own alert
+router.post('/:alertId/attachments', authenticateUser, loadOwnAlert, checkEvidenceAllowed, uploadEvidence, handleEvidenceUploadError, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+        if (caption.length > 500) {
+            sosEvidence.discardUpload(req.file);
+            return res.status(400).json({
+                success: false,
+                message: 'Caption cannot exceed 500 characters'
+            });
+        }
+
+        const attachment = await sosEvidence.saveAttachment(req.sosLog, req.file, sosChat.userParticipant(req.sosLog), caption || undefined);
+
+        res.status(201).json({
+            success: true,
+            message: 'Attachment uploaded',
+            attachment
+        });
+
+    } catch (error) {
+        sosEvidence.discardUpload(req.file);
+
+        if (error.status === 413) {
+            return res.status(413).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('SOS Attachment upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload attachment'
+        });
+    }
+});
+
+// List attachments on own alert
+router.get('/:alertId/attachments', authenticateUser, loadOwnAlert, async (req, res) => {
+    try {
+        const attachments = await sosEvidence.listAttachments(req.sosLog._id);
+
+        res.json({
+            success: true,
+            attachments,
+            uploadOpen: sosEvidence.isUploadOpen(req.sosLog)
+        });
+
+    } catch (error) {
+        console.error('SOS Attachment list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load attachments'
+        });
+    }
+});
+
+// Download an attachment from own alert
+router.get('/:alertId/attachments/:attachmentId/file', authenticateUser, loadOwnAlert, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.attachmentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid attachment ID'
+            });
+        }
+
+        await sosEvidence.sendAttachmentFile(res, req.sosLog._id, req.params.attachmentId);
+
+    } catch (error) {
+        console.error('SOS Attachment download error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load attachment'
+        });
+    }
+});
+
+// Acknowledge an alert from the one-time link sent to emergency contacts
+router.post('/ack/:token', async (req, res) => {
+    try {
+        const result = await acknowledgeByToken(req.params.token);
+
+        if (result.error === 'invalid' || result.error === 'not-found') {
+            return res.status(400).json({
+                success: false,
+                message: 'This acknowledgement link is invalid or has expired'
+            });
+        }
+
+        if (result.error === 'used') {
+            return res.status(410).json({
+                success: false,
+                message: 'This acknowledgement link has already been used'
+            });
+        }
+
+        if (result.error === 'closed') {
+            return res.status(410).json({
+                success: false,
+                message: 'This emergency alert has already been closed'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Thank you. The traveller has been told you saw their alert.',
+            status: result.sosLog.status
+        });
+
+    } catch (error) {
+        console.error('SOS Acknowledgement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record acknowledgement'
+        });
+    }
+});
 
 module.exports = router;
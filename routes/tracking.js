@@ -0,0 +1,76 @@
+// ===================================================================
+// TRACKING ROUTES - Public Live Tracking for Emergency Contacts
+// ===================================================================
+// No account needed: access is granted by the incident's tracking token
+
+const express = require('express');
+const router = express.Router();
+const SOSLog = require('../models/SOSLog');
+const incidentEvents = require('../services/incidentEvents');
+const { findByTrackingToken, toPublicView } = require('../services/sosTracking');
+
+const TRACKING_ERRORS = {
+    invalid: { status: 404, message: 'This tracking link is not valid' },
+    revoked: { status: 410, message: 'This tracking link has been turned off' },
+    expired: { status: 410, message: 'This tracking link has expired' },
+    closed: { status: 410, message: 'This emergency has been closed' }
+};
+
+// Events a contact may see, stripped to the public view
+const PUBLIC_EVENT_TYPES = ['status', 'location', 'location-text', 'acknowledgement', 'tracking-revoked'];
+
+// Resolve :token into req.sosLog or answer with the reason it is unusable
+const loadTrackedIncident = async (req, res, next) => {
+    try {
+        const { sosLog, error } = await findByTrackingToken(req.params.token);
+
+        if (error) {
+            const { status, message } = TRACKING_ERRORS[error];
+            return res.status(status).json({
+                success: false,
+                message,
+                reason: error
+            });
+        }
+
+        req.sosLog = sosLog;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the tracked incident
+router.get('/:token', loadTrackedIncident, (req, res) => {
+    res.json({
+        success: true,
+        incident: toPublicView(req.sosLog)
+    });
+});
+
+// Live feed of the tracked incident (Server-Sent Events)
+router.get('/:token/stream', loadTrackedIncident, (req, res) => {
+    const sosLog = req.sosLog;
+
+    incidentEvents.streamIncident(req, res, sosLog._id, {
+        initialEvents: [{ type: 'incident', data: toPublicView(sosLog) }],
+        filter: event => {
+            // A duress cancel must look like a normal cancel from the outside
+            if (event.type === 'duress') {
+                return { type: 'status', at: event.at, data: { status: 'cancelled' } };
+            }
+            if (event.type === 'acknowledgement') {
+                const { name, role, acknowledgedAt } = event.data;
+                return { ...event, data: { name, role, acknowledgedAt } };
+            }
+            if (event.type === 'incident' || PUBLIC_EVENT_TYPES.includes(event.type)) {
+                return event;
+            }
+            return null;
+        },
+        closeWhen: event => event.type === 'tracking-revoked' || event.type === 'duress' ||
+            (event.type === 'status' && !SOSLog.OPEN_STATUSES.includes(event.data.status))
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+// ===================================================================
+// WEBHOOK ROUTES - Provider Callbacks
+// ===================================================================
+// Twilio-compatible callbacks (application/x-www-form-urlencoded)
+
+const express = require('express');
+const twilio = require('twilio');
+const router = express.Router();
+const { validateTwilioWebhook, requireVerifiedTwilioWebhook } = require('../middleware/twilioWebhook');
+const { recordDeliveryReceipt } = require('../services/sosDelivery');
+const { acknowledgeBySms } = require('../services/sosAcknowledgements');
+const { handleKeywordSMS } = require('../services/sosKeywords');
+const { handleChatReplySMS } = require('../services/sosChat');
+const messageTemplates = require('../services/messageTemplates');
+
+// Inbound SMS handlers, tried in order; the first to return a reply wins.
+// A handler returns null to pass, or '' to consume the message silently.
+const inboundHandlers = [
+    // Emergency contact replying "OK" to an alert. Only trusted from a
+    // signed webhook: an acknowledgement stops the alert escalating.
+    async ({ from, text, verified }) => {
+        if (!verified) return null;
+
+        const result = await acknowledgeBySms(from, text);
+        if (!result) return null;
+
+        const locale = { language: result.delivery && result.delivery.language };
+        if (result.error === 'closed') return messageTemplates.render('sos.ackReply.closed', {}, locale);
+        if (result.error) return messageTemplates.render('sos.ackReply.used', {}, locale);
+        return messageTemplates.render('sos.ackReply.thanks', {}, locale);
+    },
+    // Tourist answering a responder's chat message that was relayed by SMS
+    ({ from, text }) => handleChatReplySMS(from, text),
+    // Tourist texting "SOS", "MEDICAL", "HELP <location>" ...
+    ({ from, text, messageSid }) => handleKeywordSMS(from, text, { messageSid })
+];
+
+// Reply to Twilio with TwiML (an empty response sends nothing back)
+function sendTwiml(res, message) {
+    const twiml = new twilio.twiml.MessagingResponse();
+    if (message) {
+        twiml.message(message);
+    }
+    res.type('text/xml').send(twiml.toString());
+}
+
+// SMS delivery status callback
+router.post('/sms/status', validateTwilioWebhook, requireVerifiedTwilioWebhook, async (req, res) => {
+    try {
+        const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+
+        if (!MessageSid || !MessageStatus) {
+            return res.status(400).json({
+                success: false,
+                message: 'MessageSid and MessageStatus are required'
+            });
+        }
+
+        await recordDeliveryReceipt({
+            providerMessageId: MessageSid,
+            status: MessageStatus,
+            errorMessage: ErrorMessage || (ErrorCode ? `Error code ${ErrorCode}` : undefined)
+        });
+
+        res.sendStatus(204);
+
+    } catch (error) {
+        console.error('SMS status callback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process status callback'
+        });
+    }
+});
+
+// Inbound SMS (replies and keywords)
+router.post('/sms/inbound', validateTwilioWebhook, async (req, res) => {
+    try {
+        const { From, Body, MessageSid } = req.body;
+
+        if (!From) {
+            return res.status(400).json({
+                success: false,
+                message: 'From is required'
+            });
+        }
+
+        console.log(`📨 Inbound SMS from ${From}`);
+
+        let reply = null;
+        for (const handler of inboundHandlers) {
+            reply = await handler({ from: From, text: Body || '', messageSid: MessageSid, verified: req.twilioVerified });
+            if (reply != null) break;
+        }
+
+        sendTwiml(res, reply);
+
+    } catch (error) {
+        console.error('Inbound SMS error:', error);
+        sendTwiml(res, null);
+    }
+});
+
+module.exports = router;
@@ -9,6 +9,12 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const scheduler = require('./services/scheduler');
+const { processDueDeliveries } = require('./services/sosDelivery');
+const { processDueEscalations } = require('./services/sosAlerts');
+const { processDueCheckIns } = require('./services/checkIns');
+const { processDueRelays } = require('./services/sosChat');
+const { captureRawBody } = require('./middleware/deviceAuth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -20,6 +26,15 @@ const PORT = process.env.PORT || 5000;
 // Basic CORS configuration
 app.use(cors());
 
+// ===================================================================
+// BACKGROUND JOBS
+// ===================================================================
+
+scheduler.registerJob('sos-delivery-retries', parseInt(process.env.SOS_DELIVERY_SWEEP_MS) || 15 * 1000, processDueDeliveries);
+scheduler.registerJob('sos-escalations', parseInt(process.env.SOS_ESCALATION_SWEEP_MS) || 30 * 1000, processDueEscalations);
+scheduler.registerJob('check-ins', parseInt(process.env.CHECKIN_SWEEP_MS) || 30 * 1000, processDueCheckIns);
+scheduler.registerJob('sos-chat-relays', parseInt(process.env.SOS_CHAT_RELAY_SWEEP_MS) || 15 * 1000, processDueRelays);
+
 // ===================================================================
 // DATABASE CONNECTION
 // ===================================================================
@@ -29,6 +44,7 @@ mongoose.connect(process.env.MONGODB_URI, {
     useUnifiedTopology: true
 }).then(() => {
     console.log('📊 Connected to MongoDB');
+    scheduler.start();
 }).catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
     process.exit(1);
@@ -38,7 +54,7 @@ mongoose.connect(process.env.MONGODB_URI, {
 // MIDDLEWARE
 // ===================================================================
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
 app.use(express.static(path.join(__dirname, 'public')));
@@ -49,12 +65,19 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/admin/incidents', require('./routes/incidents'));
+app.use('/api/admin/responders', require('./routes/responders'));
+app.use('/api/admin/diagnostics', require('./routes/diagnostics'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/ocr', require('./routes/ocr'));
 app.use('/api/phone', require('./routes/phone-verification'));
 app.use('/api/contacts', require('./routes/contacts'));
 app.use('/api/areas', require('./routes/areas'));
 app.use('/api/sos', require('./routes/sos'));
+app.use('/api/checkins', require('./routes/checkins'));
+app.use('/api/devices', require('./routes/devices'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/track', require('./routes/tracking'));
 
 // Serve static pages
 app.get('/', (req, res) => {
@@ -81,6 +104,14 @@ app.get('/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'dashboard.html'));
 });
 
+app.get('/track/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'track.html'));
+});
+
+app.get('/ack/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'acknowledge.html'));
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -126,6 +157,7 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    scheduler.stop();
     mongoose.connection.close(() => {
         console.log('MongoDB connection closed');
         process.exit(0);
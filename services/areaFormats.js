@@ -0,0 +1,451 @@
+// ===================================================================
+// AREA FORMATS - Restricted Areas as GeoJSON, KML & CSV
+// ===================================================================
+// Parsers turn an uploaded file into rows of area fields for
+// services/restrictedAreas to validate; serializers write areas back out
+// in the same shapes, so an export can be edited and re-imported.
+//
+// Circles travel as a point plus a `radius` property (GeoJSON properties,
+// KML ExtendedData, CSV lat/lng/radius columns). Polygons travel as
+// geometry; in CSV that is a `geometry` column holding GeoJSON.
+//
+// Parsers return [{ row, fields }] or [{ row, error }] per record, or
+// throw when the file as a whole can't be read.
+
+// Area fields carried as properties / extended data / columns, in export order
+const PROPERTY_FIELDS = ['name', 'description', 'radius', 'severity', 'category', 'validFrom', 'validUntil', 'alertMessage'];
+
+// Free-text columns, guarded against spreadsheet formulas on export
+const CSV_TEXT_COLUMNS = ['name', 'description', 'alertMessage'];
+
+const CSV_COLUMNS = ['name', 'description', 'lat', 'lng', 'radius', 'severity', 'category', 'validFrom', 'validUntil', 'alertMessage', 'geometry'];
+
+// Accepted CSV header spellings, compared lowercased without spaces, dashes or underscores
+const CSV_HEADER_ALIASES = {
+    name: 'name',
+    description: 'description',
+    lat: 'latitude',
+    latitude: 'latitude',
+    lng: 'longitude',
+    lon: 'longitude',
+    long: 'longitude',
+    longitude: 'longitude',
+    radius: 'radius',
+    radiusm: 'radius',
+    severity: 'severity',
+    category: 'category',
+    validfrom: 'validFrom',
+    validuntil: 'validUntil',
+    validto: 'validUntil',
+    alertmessage: 'alertMessage',
+    message: 'alertMessage',
+    geometry: 'geometry'
+};
+
+// Blank strings mean "not given" so model defaults apply
+function cleanFields(fields) {
+    const cleaned = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (typeof value === 'string') value = value.trim();
+        if (value === '' || value == null) return;
+        cleaned[key] = value;
+    });
+    // Left as NaN when unparseable so the import reports the row
+    if (cleaned.radius !== undefined) cleaned.radius = Number(cleaned.radius);
+    return cleaned;
+}
+
+function toIsoDate(date) {
+    return date ? new Date(date).toISOString() : undefined;
+}
+
+// Plain field values for one area, shared by every serializer
+function toRecord(area) {
+    return {
+        id: area._id.toString(),
+        name: area.name,
+        description: area.description,
+        shape: area.shape || 'circle',
+        latitude: area.location.coordinates[1],
+        longitude: area.location.coordinates[0],
+        radius: area.shape === 'polygon' ? undefined : area.radius,
+        geometry: area.shape === 'polygon' ? { type: area.geometry.type, coordinates: area.geometry.coordinates } : undefined,
+        severity: area.severity,
+        category: area.category,
+        validFrom: toIsoDate(area.validFrom),
+        validUntil: toIsoDate(area.validUntil),
+        alertMessage: area.alertMessage
+    };
+}
+
+function pickProperties(record) {
+    const properties = {};
+    PROPERTY_FIELDS.forEach(field => {
+        if (record[field] !== undefined) properties[field] = record[field];
+    });
+    return properties;
+}
+
+// ===================================================================
+// GEOJSON
+// ===================================================================
+
+function parseGeoJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    let features;
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        features = data.features;
+    } else if (data && data.type === 'Feature') {
+        features = [data];
+    } else {
+        throw new Error('Expected a GeoJSON FeatureCollection');
+    }
+
+    return features.map((feature, index) => {
+        const row = index + 1;
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+
+        if (!geometry) {
+            return { row, error: 'Feature has no geometry' };
+        }
+
+        const fields = {};
+        PROPERTY_FIELDS.forEach(field => {
+            if (properties[field] !== undefined) fields[field] = properties[field];
+        });
+
+        if (geometry.type === 'Point') {
+            const [longitude, latitude] = geometry.coordinates || [];
+            fields.latitude = latitude;
+            fields.longitude = longitude;
+        } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+            fields.geometry = { type: geometry.type, coordinates: geometry.coordinates };
+        } else {
+            return { row, error: `Unsupported geometry type ${geometry.type}; use Point (with radius), Polygon or MultiPolygon` };
+        }
+
+        return { row, fields: cleanFields(fields) };
+    });
+}
+
+function toGeoJSON(areas) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: areas.map(area => {
+            const record = toRecord(area);
+            return {
+                type: 'Feature',
+                id: record.id,
+                geometry: record.geometry || { type: 'Point', coordinates: [record.longitude, record.latitude] },
+                properties: pickProperties(record)
+            };
+        })
+    }, null, 2);
+}
+
+// ===================================================================
+// KML
+// ===================================================================
+// Reads the common subset written by Google Earth / My Maps and GIS
+// tools: Placemarks (anywhere in Folders) with a Point, Polygon or
+// MultiGeometry of Polygons, plus name, description and ExtendedData.
+
+function decodeXml(text) {
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(text);
+    if (cdata) return cdata[1].trim();
+
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function encodeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Text of the first <tag> directly in the block, or undefined
+function getTagText(block, tag) {
+    const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`).exec(block);
+    return match ? decodeXml(match[1]) : undefined;
+}
+
+function getAllBlocks(block, tag) {
+    const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'g');
+    const blocks = [];
+    let match;
+    while ((match = pattern.exec(block)) !== null) {
+        blocks.push(match[1]);
+    }
+    return blocks;
+}
+
+// "lng,lat[,alt] lng,lat[,alt] ..." -> [[lng, lat], ...]
+function parseKmlCoordinates(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+        const [longitude, latitude] = tuple.split(',').map(Number);
+        return [longitude, latitude];
+    });
+}
+
+function parseKmlPolygon(block) {
+    const outer = getAllBlocks(block, 'outerBoundaryIs')[0];
+    const inner = getAllBlocks(block, 'innerBoundaryIs');
+
+    return [outer, ...inner]
+        .filter(Boolean)
+        .map(boundary => parseKmlCoordinates(getTagText(boundary, 'coordinates')));
+}
+
+function parseKML(text) {
+    if (!/<kml\b/i.test(text)) {
+        throw new Error('File is not a KML document');
+    }
+
+    const placemarks = getAllBlocks(text.replace(/<!--[\s\S]*?-->/g, ''), 'Placemark');
+
+    return placemarks.map((block, index) => {
+        const row = index + 1;
+        const fields = {
+            name: getTagText(block, 'name'),
+            description: getTagText(block, 'description')
+        };
+
+        // <Data name="radius"><value>500</value></Data> or <SimpleData name="radius">500</SimpleData>
+        const dataPattern = /<Data\b[^>]*\bname="([^"]+)"[^>]*>[\s\S]*?<value>([\s\S]*?)<\/value>[\s\S]*?<\/Data>|<SimpleData\b[^>]*\bname="([^"]+)"[^>]*>([\s\S]*?)<\/SimpleData>/g;
+        let match;
+        while ((match = dataPattern.exec(block)) !== null) {
+            const key = match[1] || match[3];
+            if (PROPERTY_FIELDS.includes(key) && key !== 'name' && key !== 'description') {
+                fields[key] = decodeXml(match[2] !== undefined ? match[2] : match[4]);
+            }
+        }
+
+        const polygons = getAllBlocks(block, 'Polygon').map(parseKmlPolygon);
+        const point = getAllBlocks(block, 'Point')[0];
+
+        if (polygons.length > 0) {
+            fields.geometry = polygons.length === 1
+                ? { type: 'Polygon', coordinates: polygons[0] }
+                : { type: 'MultiPolygon', coordinates: polygons };
+        } else if (point) {
+            const [position] = parseKmlCoordinates(getTagText(point, 'coordinates'));
+            if (position) {
+                fields.longitude = position[0];
+                fields.latitude = position[1];
+            }
+        } else {
+            return { row, error: 'Placemark has no Point or Polygon' };
+        }
+
+        return { row, fields: cleanFields(fields) };
+    });
+}
+
+function toKmlCoordinates(ring) {
+    return ring.map(position => `${position[0]},${position[1]}`).join(' ');
+}
+
+function toKmlPolygon(rings) {
+    const [outer, ...holes] = rings;
+    return [
+        '<Polygon>',
+        `<outerBoundaryIs><LinearRing><coordinates>${toKmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>`,
+        ...holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${toKmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`),
+        '</Polygon>'
+    ].join('');
+}
+
+function toKML(areas) {
+    const placemarks = areas.map(area => {
+        const record = toRecord(area);
+        const data = PROPERTY_FIELDS
+            .filter(field => field !== 'name' && field !== 'description' && record[field] !== undefined)
+            .map(field => `<Data name="${field}"><value>${encodeXml(record[field])}</value></Data>`)
+            .join('');
+
+        let geometry;
+        if (!record.geometry) {
+            geometry = `<Point><coordinates>${record.longitude},${record.latitude}</coordinates></Point>`;
+        } else if (record.geometry.type === 'Polygon') {
+            geometry = toKmlPolygon(record.geometry.coordinates);
+        } else {
+            geometry = `<MultiGeometry>${record.geometry.coordinates.map(toKmlPolygon).join('')}</MultiGeometry>`;
+        }
+
+        return [
+            `    <Placemark id="${record.id}">`,
+            `      <name>${encodeXml(record.name)}</name>`,
+            record.description ? `      <description>${encodeXml(record.description)}</description>` : null,
+            `      <ExtendedData>${data}</ExtendedData>`,
+            `      ${geometry}`,
+            '    </Placemark>'
+        ].filter(line => line !== null).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>Restricted Areas</name>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+// ===================================================================
+// CSV
+// ===================================================================
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines
+function parseCsvRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records;
+}
+
+function parseCSV(text) {
+    const records = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+    if (records.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+
+    const header = records[0].map(column => CSV_HEADER_ALIASES[column.trim().toLowerCase().replace(/[\s_-]/g, '')]);
+    if (!header.includes('name')) {
+        throw new Error('CSV header must include a name column');
+    }
+
+    const rows = [];
+    records.slice(1).forEach((values, index) => {
+        // Header is row 1 in a spreadsheet
+        const row = index + 2;
+        if (values.every(value => value.trim() === '')) return;
+
+        const fields = {};
+        header.forEach((key, column) => {
+            if (key) fields[key] = values[column];
+        });
+
+        // Undo the formula guard added on export (see toCsvValue)
+        CSV_TEXT_COLUMNS.forEach(key => {
+            if (typeof fields[key] === 'string' && /^'[=+\-@]/.test(fields[key])) {
+                fields[key] = fields[key].slice(1);
+            }
+        });
+
+        if (fields.geometry && fields.geometry.trim()) {
+            try {
+                fields.geometry = JSON.parse(fields.geometry);
+            } catch (error) {
+                rows.push({ row, error: 'geometry column is not valid GeoJSON' });
+                return;
+            }
+        }
+
+        rows.push({ row, fields: cleanFields(fields) });
+    });
+
+    return rows;
+}
+
+// Quote when needed; text that a spreadsheet would run as a formula is prefixed with '
+function toCsvValue(value, isText) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (isText && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(areas) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    areas.forEach(area => {
+        const record = toRecord(area);
+        const values = {
+            ...record,
+            lat: record.geometry ? undefined : record.latitude,
+            lng: record.geometry ? undefined : record.longitude
+        };
+        lines.push(CSV_COLUMNS.map(column => toCsvValue(values[column], CSV_TEXT_COLUMNS.includes(column))).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+// ===================================================================
+// FORMAT REGISTRY
+// ===================================================================
+
+const FORMATS = {
+    geojson: { parse: parseGeoJSON, serialize: toGeoJSON, contentType: 'application/geo+json', extension: 'geojson' },
+    kml: { parse: parseKML, serialize: toKML, contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+    csv: { parse: parseCSV, serialize: toCSV, contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+function getFormat(name) {
+    return FORMATS[(name || '').toLowerCase()] || null;
+}
+
+module.exports = {
+    FORMAT_NAMES: Object.keys(FORMATS),
+    getFormat,
+    parseGeoJSON,
+    parseKML,
+    parseCSV,
+    toGeoJSON,
+    toKML,
+    toCSV
+};
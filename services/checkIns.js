@@ -0,0 +1,116 @@
+// ===================================================================
+// CHECK-IN SERVICE - Dead-man's Switch for Solo Travellers
+// ===================================================================
+// Reminds tourists shortly before a scheduled check-in is due and raises
+// an SOS for them when the deadline plus grace period passes unanswered.
+// Due times live on the CheckIn documents, so nothing is lost on restart.
+
+const CheckIn = require('../models/CheckIn');
+const User = require('../models/User');
+const notifications = require('./notifications');
+const { createSOSAlert } = require('./sosAlerts');
+
+// Remind the tourist that a check-in is coming due
+async function sendReminder(checkIn) {
+    const user = await User.findById(checkIn.userId);
+    if (!user || !user.phoneNumber) return;
+
+    const place = checkIn.destination && checkIn.destination.name;
+
+    try {
+        await notifications.sendTemplate({
+            channel: 'sms',
+            to: user.phoneNumber,
+            template: place ? 'checkin.reminderAt' : 'checkin.reminder',
+            params: { time: checkIn.expectedAt, place, grace: checkIn.graceMinutes },
+            locale: user,
+            meta: { checkInId: checkIn._id, type: 'checkin-reminder' }
+        });
+
+        console.log(`⏰ Check-in reminder sent to ${user.username} (${checkIn._id})`);
+    } catch (error) {
+        console.error(`⚠️ Check-in reminder to ${user.username} failed:`, error.message);
+    }
+}
+
+// Raise an SOS for a missed check-in using the best location available
+async function triggerMissedCheckIn(checkIn) {
+    const user = await User.findById(checkIn.userId);
+
+    if (!user || !user.isActive) {
+        await CheckIn.updateOne({ _id: checkIn._id }, { $set: { status: 'cancelled', cancelledAt: new Date() } });
+        return null;
+    }
+
+    const lastKnown = user.lastKnownLocation;
+    let location = null;
+
+    if (lastKnown && lastKnown.latitude != null && lastKnown.longitude != null) {
+        location = { latitude: lastKnown.latitude, longitude: lastKnown.longitude, accuracy: lastKnown.accuracy };
+    } else if (checkIn.destination && checkIn.destination.latitude != null) {
+        location = { latitude: checkIn.destination.latitude, longitude: checkIn.destination.longitude };
+    }
+
+    const sosLog = await createSOSAlert(user, {
+        location,
+        alertType: 'emergency',
+        source: 'checkin',
+        checkInId: checkIn._id
+    });
+
+    await CheckIn.updateOne({ _id: checkIn._id }, { $set: { sosLogId: sosLog._id } });
+
+    console.log(`🚨 Missed check-in ${checkIn._id} for ${user.username} - SOS ${sosLog._id} raised`);
+    return sosLog;
+}
+
+// Scheduler job: send due reminders, then trigger overdue check-ins
+async function processDueCheckIns() {
+    const now = new Date();
+
+    const reminders = await CheckIn.find({
+        status: 'scheduled',
+        reminderSentAt: null,
+        reminderAt: { $lte: now },
+        triggerAt: { $gt: now }
+    });
+
+    for (const checkIn of reminders) {
+        // Claim the reminder so a second worker does not send it again
+        const claimed = await CheckIn.findOneAndUpdate(
+            { _id: checkIn._id, status: 'scheduled', reminderSentAt: null },
+            { $set: { reminderSentAt: now } },
+            { new: true }
+        );
+
+        if (claimed) await sendReminder(claimed);
+    }
+
+    const overdue = await CheckIn.find({
+        status: 'scheduled',
+        triggerAt: { $lte: now }
+    });
+
+    for (const checkIn of overdue) {
+        const claimed = await CheckIn.findOneAndUpdate(
+            { _id: checkIn._id, status: 'scheduled' },
+            { $set: { status: 'triggered' } },
+            { new: true }
+        );
+
+        if (!claimed) continue;
+
+        try {
+            await triggerMissedCheckIn(claimed);
+        } catch (error) {
+            // Put it back so the next sweep tries again
+            await CheckIn.updateOne({ _id: claimed._id, sosLogId: null }, { $set: { status: 'scheduled' } });
+            console.error(`❌ Failed to raise SOS for missed check-in ${claimed._id}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    processDueCheckIns,
+    triggerMissedCheckIn
+};
@@ -0,0 +1,195 @@
+// ===================================================================
+// GEOFENCE SERVICE - Restricted Area Entry/Exit from Location Pings
+// ===================================================================
+// Each ping is checked against the active restricted areas and compared
+// with the user's GeofenceState to find entries and exits. Both are
+// logged as GeofenceEvents; entering a high/critical area also warns the
+// tourist by SMS with the area's alertMessage (at most once per area per
+// GEOFENCE_WARNING_COOLDOWN_MINUTES, so walking along a boundary doesn't
+// flood them).
+
+const User = require('../models/User');
+const RestrictedArea = require('../models/RestrictedArea');
+const GeofenceState = require('../models/GeofenceState');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const notifications = require('./notifications');
+
+const WARN_SEVERITIES = ['high', 'critical'];
+const WARNING_COOLDOWN_MS = (parseFloat(process.env.GEOFENCE_WARNING_COOLDOWN_MINUTES) || 30) * 60 * 1000;
+
+// Fixes less precise than this are recorded but not used for entry/exit
+const MAX_ACCURACY_M = parseFloat(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 1000;
+
+// Concurrent pings for one user: retry the state update this many times
+const MAX_STATE_ATTEMPTS = 3;
+
+function toAreaSummary(area) {
+    return {
+        areaId: area._id,
+        name: area.name,
+        severity: area.severity,
+        category: area.category
+    };
+}
+
+// Replace the user's state if nobody else changed it since we read it.
+// Resolves with the new state, or null when another ping got there first.
+async function saveState(userId, previous, inside, { pingAt, location }) {
+    try {
+        return await GeofenceState.findOneAndUpdate(
+            { userId, lastPingAt: previous ? previous.lastPingAt : null },
+            { $set: { inside, lastPingAt: pingAt, lastLocation: location } },
+            { new: true, upsert: !previous }
+        );
+    } catch (error) {
+        // Another ping created the state first
+        if (error.code === 11000) return null;
+        throw error;
+    }
+}
+
+// Send an area's alertMessage to the tourist unless they were warned recently
+async function warnTourist(user, area, at) {
+    const recentlyWarned = await GeofenceEvent.exists({
+        userId: user._id,
+        areaId: area._id,
+        type: 'entry',
+        'warning.sent': true,
+        at: { $gte: new Date(at.getTime() - WARNING_COOLDOWN_MS) }
+    });
+
+    if (recentlyWarned) {
+        return { sent: false, skippedReason: 'cooldown' };
+    }
+    if (!user.phoneNumber) {
+        return { sent: false, skippedReason: 'no-phone' };
+    }
+
+    try {
+        await notifications.sendTemplate({
+            channel: 'sms',
+            to: user.phoneNumber,
+            template: 'geofence.entry',
+            params: { area: area.name, message: area.alertMessage },
+            locale: user,
+            meta: { type: 'geofence-warning', areaId: area._id }
+        });
+        return { sent: true, channel: 'sms' };
+    } catch (error) {
+        console.error(`⚠️ Geofence warning to ${user.username} failed:`, error.message);
+        return { sent: false, channel: 'sms', error: error.message };
+    }
+}
+
+// Evaluate one location ping for a user.
+// Resolves with { evaluated, reason?, inside, entered, exited, warnings }.
+async function processPing(user, { latitude, longitude, accuracy, recordedAt }) {
+    const pingAt = recordedAt || new Date();
+    const location = { latitude, longitude, accuracy };
+
+    await User.recordLocation(user._id, { ...location, recordedAt: pingAt });
+
+    const result = { evaluated: false, inside: [], entered: [], exited: [], warnings: [] };
+
+    if (accuracy != null && accuracy > MAX_ACCURACY_M) {
+        result.reason = 'low-accuracy';
+        return result;
+    }
+
+    const areas = await RestrictedArea.findContaining(latitude, longitude);
+    result.inside = areas.map(toAreaSummary);
+
+    let previous;
+    let entered;
+    let exitedEntries;
+
+    for (let attempt = 0; attempt < MAX_STATE_ATTEMPTS; attempt++) {
+        previous = await GeofenceState.findOne({ userId: user._id });
+
+        if (previous && previous.lastPingAt && previous.lastPingAt >= pingAt) {
+            result.reason = 'stale';
+            return result;
+        }
+
+        const previousInside = new Map(((previous && previous.inside) || []).map(entry => [entry.areaId.toString(), entry]));
+        const currentIds = new Set(areas.map(area => area._id.toString()));
+
+        entered = areas.filter(area => !previousInside.has(area._id.toString()));
+        exitedEntries = [...previousInside.values()].filter(entry => !currentIds.has(entry.areaId.toString()));
+
+        const inside = areas.map(area => {
+            const existing = previousInside.get(area._id.toString());
+            return { areaId: area._id, enteredAt: existing ? existing.enteredAt : pingAt };
+        });
+
+        if (await saveState(user._id, previous, inside, { pingAt, location })) break;
+
+        if (attempt === MAX_STATE_ATTEMPTS - 1) {
+            result.reason = 'conflict';
+            return result;
+        }
+    }
+
+    result.evaluated = true;
+
+    // Exited areas may since have been edited or deleted; log what is left of them
+    const exitedAreas = exitedEntries.length > 0
+        ? await RestrictedArea.find({ _id: { $in: exitedEntries.map(entry => entry.areaId) } }).select('name severity category')
+        : [];
+    const exitedById = new Map(exitedAreas.map(area => [area._id.toString(), area]));
+
+    const events = [];
+
+    for (const area of entered) {
+        const event = {
+            userId: user._id,
+            username: user.username,
+            type: 'entry',
+            areaId: area._id,
+            areaName: area.name,
+            severity: area.severity,
+            category: area.category,
+            location,
+            at: pingAt
+        };
+
+        if (WARN_SEVERITIES.includes(area.severity)) {
+            event.warning = await warnTourist(user, area, pingAt);
+            result.warnings.push({ ...toAreaSummary(area), alertMessage: area.alertMessage });
+            console.warn(`🚧 ${user.username} entered ${area.severity} restricted area "${area.name}"`);
+        }
+
+        events.push(event);
+        result.entered.push(toAreaSummary(area));
+    }
+
+    for (const entry of exitedEntries) {
+        const area = exitedById.get(entry.areaId.toString());
+        const summary = area ? toAreaSummary(area) : { areaId: entry.areaId };
+
+        events.push({
+            userId: user._id,
+            username: user.username,
+            type: 'exit',
+            areaId: entry.areaId,
+            areaName: summary.name,
+            severity: summary.severity,
+            category: summary.category,
+            location,
+            at: pingAt,
+            durationSeconds: Math.round((pingAt.getTime() - entry.enteredAt.getTime()) / 1000)
+        });
+        result.exited.push(summary);
+    }
+
+    if (events.length > 0) {
+        await GeofenceEvent.insertMany(events);
+    }
+
+    return result;
+}
+
+module.exports = {
+    WARN_SEVERITIES,
+    processPing
+};
@@ -0,0 +1,71 @@
+// ===================================================================
+// INCIDENT EVENTS - In-Process Pub/Sub for Live Incident Updates
+// ===================================================================
+// Routes publish incident changes here; Server-Sent Events feeds
+// subscribe per incident and forward them to connected clients.
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Publish an event (e.g. 'location', 'status') for an incident
+function publish(incidentId, type, data) {
+    emitter.emit(`incident:${incidentId}`, { type, data, at: new Date().toISOString() });
+}
+
+// Subscribe to an incident's events; returns an unsubscribe function
+function subscribe(incidentId, listener) {
+    const channel = `incident:${incidentId}`;
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+}
+
+// Turn the response into an SSE stream of an incident's events.
+// initialEvents are written first so clients render state immediately;
+// filter(event) can drop or rewrite events for less privileged viewers;
+// closeWhen(event) ends the stream after that event has been written.
+function streamIncident(req, res, incidentId, { initialEvents = [], filter, closeWhen } = {}) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    let heartbeat = null;
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    const write = (event) => {
+        const output = filter ? filter(event) : event;
+        if (!output) return;
+        res.write(`event: ${output.type}\ndata: ${JSON.stringify(output)}\n\n`);
+
+        if (closeWhen && closeWhen(event)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    initialEvents.forEach(write);
+    if (res.writableEnded) return;
+
+    unsubscribe = subscribe(incidentId, write);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+    req.on('close', cleanup);
+}
+
+module.exports = {
+    publish,
+    subscribe,
+    streamIncident
+};
@@ -0,0 +1,108 @@
+// ===================================================================
+// MESSAGE TEMPLATES - Localized, Timezone-Aware Outgoing Text
+// ===================================================================
+// Every SMS/email body is rendered from a keyed template in the
+// recipient's language, with times shown in the recipient's timezone.
+//
+// Fallback rules:
+//   language  - exact code ("fr"), then base code ("fr-CA" -> "fr"),
+//               then the next locale source (e.g. contact -> tourist),
+//               then MESSAGE_DEFAULT_LANGUAGE, then English
+//   keys      - a key missing from a locale is taken from English
+//   timeZone  - first valid IANA zone among the sources, then
+//               MESSAGE_DEFAULT_TIMEZONE (default Asia/Kolkata)
+
+const catalogues = {
+    en: require('./locales/en'),
+    hi: require('./locales/hi'),
+    fr: require('./locales/fr'),
+    de: require('./locales/de'),
+    es: require('./locales/es')
+};
+
+// Intl locale used for dates in each language
+const INTL_LOCALES = {
+    en: 'en-IN',
+    hi: 'hi-IN',
+    fr: 'fr-FR',
+    de: 'de-DE',
+    es: 'es-ES'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(catalogues);
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Supported catalogue for a language code, or null
+function matchLanguage(language) {
+    if (!language || typeof language !== 'string') return null;
+
+    const code = language.trim().toLowerCase();
+    if (catalogues[code]) return code;
+
+    const base = code.split(/[-_]/)[0];
+    return catalogues[base] ? base : null;
+}
+
+const DEFAULT_LANGUAGE = matchLanguage(process.env.MESSAGE_DEFAULT_LANGUAGE) || 'en';
+const DEFAULT_TIMEZONE = isValidTimeZone(process.env.MESSAGE_DEFAULT_TIMEZONE)
+    ? process.env.MESSAGE_DEFAULT_TIMEZONE
+    : 'Asia/Kolkata';
+
+// Pick the language and timezone for a message from one or more sources
+// (objects with language / timeZone), most specific first
+function resolveLocale(...sources) {
+    const candidates = sources.filter(Boolean);
+
+    const language = candidates.map(source => matchLanguage(source.language)).find(Boolean) || DEFAULT_LANGUAGE;
+    const timeZone = candidates.map(source => source.timeZone).find(isValidTimeZone) || DEFAULT_TIMEZONE;
+
+    return { language, timeZone };
+}
+
+// Format a moment for the recipient, with the zone name so it can't be misread
+function formatTime(date, locale) {
+    const { language, timeZone } = resolveLocale(locale);
+
+    return new Intl.DateTimeFormat(INTL_LOCALES[language], {
+        timeZone,
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    }).format(date);
+}
+
+// Render a template; Date params are formatted with formatTime.
+// Throws for keys that exist in no catalogue so typos fail loudly.
+function render(key, params = {}, locale) {
+    const resolved = resolveLocale(locale);
+    const template = catalogues[resolved.language][key] || catalogues.en[key];
+
+    if (template === undefined) {
+        throw new Error(`Unknown message template: ${key}`);
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return '';
+        return value instanceof Date ? formatTime(value, resolved) : String(value);
+    });
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    isValidTimeZone,
+    resolveLocale,
+    formatTime,
+    render
+};
@@ -0,0 +1,46 @@
+// German message catalogue
+
+module.exports = {
+    'sos.alert.title': '🚨 NOTFALLALARM 🚨',
+    'sos.alert.duress': '⚠️ Der Alarm wurde mit der Notfall-PIN (Zwang) abgebrochen - die reisende Person wird möglicherweise bedroht. Rufen Sie nicht ihr Telefon an.',
+    'sos.alert.drill': '*** ÜBUNG - DIES IST KEIN ECHTER NOTFALL ***',
+    'sos.alert.source.sms': 'Per SMS-Stichwort gesendet - die reisende Person hat möglicherweise keine Datenverbindung.',
+    'sos.alert.source.checkin': 'Automatischer Alarm: Ein geplanter Sicherheits-Check-in wurde verpasst.',
+    'sos.alert.source.device': 'Vom gekoppelten Notrufknopf oder Wearable der reisenden Person gesendet.',
+    'sos.alert.location': 'Standort: {url}',
+    'sos.alert.lastKnownLocation': 'Letzter bekannter Standort: {url}',
+    'sos.alert.noLocation': 'Standort: GPS nicht verfügbar',
+    'sos.alert.description': 'Angabe der reisenden Person: „{text}“',
+    'sos.alert.tracking': 'Live-Verfolgung: {url}',
+    'sos.alert.time': 'Zeit: {time}',
+    'sos.alert.callBack': 'Bitte sofort zurückrufen!',
+    'sos.alert.ackPrompt': 'Antworten Sie mit OK oder tippen Sie hier, um den Empfang zu bestätigen: {url}',
+
+    'sos.acknowledged': '✅ {name} hat Ihren Notfallalarm gesehen.',
+    'sos.acknowledged.defaultName': 'Ihr Notfallkontakt',
+    'sos.ackReply.thanks': 'Danke. Wir haben der reisenden Person mitgeteilt, dass Sie den Alarm gesehen haben.',
+    'sos.ackReply.closed': 'Dieser Notfallalarm wurde bereits geschlossen. Danke.',
+    'sos.ackReply.used': 'Ihre Bestätigung wurde bereits erfasst. Danke.',
+
+    'sos.keyword.unknownSender': 'Nachricht erhalten. Wenn Sie in akuter Gefahr sind, rufen Sie 112 (nationaler Notruf) an.',
+    'sos.keyword.sent': 'Notfallalarm an Ihre Kontakte und die örtlichen Einsatzkräfte gesendet. Rufen Sie wenn möglich 112 an.',
+    'sos.keyword.sentNoLocation': 'Notfallalarm an Ihre Kontakte und die örtlichen Einsatzkräfte gesendet. Senden Sie HELP und Ihren Aufenthaltsort, um Ihren Standort zu ergänzen. Rufen Sie wenn möglich 112 an.',
+    'sos.keyword.sentThrottled': 'Notfallalarm an die örtlichen Einsatzkräfte gesendet. Rufen Sie wenn möglich 112 an.',
+    'sos.keyword.stillActive': 'Ihr Notfallalarm ist noch aktiv und Hilfe wurde benachrichtigt. Senden Sie HELP und Ihren Aufenthaltsort, um Ihren Standort zu ergänzen.',
+    'sos.keyword.locationAdded': 'Ihr Notfallalarm ist noch aktiv. Wir haben Ihre Standortbeschreibung ergänzt. Rufen Sie wenn möglich 112 an.',
+
+    'sos.chat.relay': '🚓 {name} (SOS-Hilfe): {message}\nAntworten Sie auf diese SMS, um zu antworten.',
+    'sos.chat.defaultName': 'Einsatzkraft',
+
+    'checkin.reminder': '⏰ Sicherheits-Check-in fällig bis {time}. Öffnen Sie die App zum Einchecken, sonst wird {grace} Minuten danach ein Notfallalarm an Ihre Kontakte gesendet.',
+    'checkin.reminderAt': '⏰ Sicherheits-Check-in fällig bis {time} in {place}. Öffnen Sie die App zum Einchecken, sonst wird {grace} Minuten danach ein Notfallalarm an Ihre Kontakte gesendet.',
+
+    'geofence.entry': '⚠️ Sie haben ein Sperrgebiet betreten: {area}. {message}',
+
+    'otp.code': 'Ihr Tourist Safety System Bestätigungscode lautet: {otp}. Gültig für 10 Minuten.',
+
+    'verification.approved': '✅ Ihre Tourist Safety System Dokumente wurden bestätigt. Ihr Konto ist vollständig aktiv.',
+    'verification.rejected': '❌ Die Prüfung Ihrer Tourist Safety System Dokumente wurde nicht genehmigt. Grund: {reason}. Bitte melden Sie sich an, um sie erneut einzureichen.',
+
+    'diagnostics.test': 'Testnachricht vom Tourist Safety System (gesendet über {transport}). Sie müssen nichts tun.'
+};
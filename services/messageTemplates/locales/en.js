@@ -0,0 +1,46 @@
+// English message catalogue; every other locale falls back to these keys
+
+module.exports = {
+    'sos.alert.title': '🚨 EMERGENCY ALERT 🚨',
+    'sos.alert.duress': '⚠️ Alert was cancelled with the DURESS PIN - traveller may be under coercion. Do not call their phone.',
+    'sos.alert.drill': '*** DRILL - THIS IS AN EXERCISE, NOT A REAL EMERGENCY ***',
+    'sos.alert.source.sms': 'Sent by SMS keyword - traveller may have no data connection.',
+    'sos.alert.source.checkin': 'Raised automatically: traveller missed a scheduled safety check-in.',
+    'sos.alert.source.device': 'Sent from the traveller\'s paired panic button or wearable.',
+    'sos.alert.location': 'Location: {url}',
+    'sos.alert.lastKnownLocation': 'Last known location: {url}',
+    'sos.alert.noLocation': 'Location: GPS unavailable',
+    'sos.alert.description': 'Traveller says: "{text}"',
+    'sos.alert.tracking': 'Live tracking: {url}',
+    'sos.alert.time': 'Time: {time}',
+    'sos.alert.callBack': 'Please call back immediately!',
+    'sos.alert.ackPrompt': 'Reply OK or tap to confirm you saw this: {url}',
+
+    'sos.acknowledged': '✅ {name} has seen your emergency alert.',
+    'sos.acknowledged.defaultName': 'Your emergency contact',
+    'sos.ackReply.thanks': 'Thank you. We have let the traveller know you saw their alert.',
+    'sos.ackReply.closed': 'This emergency alert has already been closed. Thank you.',
+    'sos.ackReply.used': 'Your acknowledgement was already recorded. Thank you.',
+
+    'sos.keyword.unknownSender': 'Message received. If you are in immediate danger call 112 (national emergency number).',
+    'sos.keyword.sent': 'Emergency alert sent to your contacts and local responders. Call 112 if you can.',
+    'sos.keyword.sentNoLocation': 'Emergency alert sent to your contacts and local responders. Text HELP followed by where you are to add your location. Call 112 if you can.',
+    'sos.keyword.sentThrottled': 'Emergency alert sent to local responders. Call 112 if you can.',
+    'sos.keyword.stillActive': 'Your emergency alert is still active and help has been notified. Text HELP followed by where you are to add your location.',
+    'sos.keyword.locationAdded': 'Your emergency alert is still active. We added your location description. Call 112 if you can.',
+
+    'sos.chat.relay': '🚓 {name} (SOS support): {message}\nReply to this SMS to answer.',
+    'sos.chat.defaultName': 'Responder',
+
+    'checkin.reminder': '⏰ Safety check-in due by {time}. Open the app to check in, or an emergency alert will be sent to your contacts {grace} minutes after that.',
+    'checkin.reminderAt': '⏰ Safety check-in due by {time} at {place}. Open the app to check in, or an emergency alert will be sent to your contacts {grace} minutes after that.',
+
+    'geofence.entry': '⚠️ You have entered a restricted area: {area}. {message}',
+
+    'otp.code': 'Your Tourist Safety System verification code is: {otp}. Valid for 10 minutes.',
+
+    'verification.approved': '✅ Your Tourist Safety System documents have been verified. Your account is fully active.',
+    'verification.rejected': '❌ Your Tourist Safety System document verification was not approved. Reason: {reason}. Please log in to resubmit.',
+
+    'diagnostics.test': 'Test message from Tourist Safety System (sent via {transport}). No action is needed.'
+};
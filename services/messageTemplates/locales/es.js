@@ -0,0 +1,46 @@
+// Spanish message catalogue
+
+module.exports = {
+    'sos.alert.title': '🚨 ALERTA DE EMERGENCIA 🚨',
+    'sos.alert.duress': '⚠️ La alerta se canceló con el PIN de coacción: el viajero podría estar bajo amenaza. No llame a su teléfono.',
+    'sos.alert.drill': '*** SIMULACRO - ESTO ES UN EJERCICIO, NO UNA EMERGENCIA REAL ***',
+    'sos.alert.source.sms': 'Enviada por SMS: es posible que el viajero no tenga conexión de datos.',
+    'sos.alert.source.checkin': 'Alerta automática: el viajero no confirmó un control de seguridad programado.',
+    'sos.alert.source.device': 'Enviada desde el botón de pánico o dispositivo vestible del viajero.',
+    'sos.alert.location': 'Ubicación: {url}',
+    'sos.alert.lastKnownLocation': 'Última ubicación conocida: {url}',
+    'sos.alert.noLocation': 'Ubicación: GPS no disponible',
+    'sos.alert.description': 'El viajero indica: «{text}»',
+    'sos.alert.tracking': 'Seguimiento en directo: {url}',
+    'sos.alert.time': 'Hora: {time}',
+    'sos.alert.callBack': '¡Por favor, devuelva la llamada de inmediato!',
+    'sos.alert.ackPrompt': 'Responda OK o toque este enlace para confirmar que lo ha visto: {url}',
+
+    'sos.acknowledged': '✅ {name} ha visto su alerta de emergencia.',
+    'sos.acknowledged.defaultName': 'Su contacto de emergencia',
+    'sos.ackReply.thanks': 'Gracias. Hemos avisado al viajero de que ha visto su alerta.',
+    'sos.ackReply.closed': 'Esta alerta de emergencia ya está cerrada. Gracias.',
+    'sos.ackReply.used': 'Su confirmación ya estaba registrada. Gracias.',
+
+    'sos.keyword.unknownSender': 'Mensaje recibido. Si está en peligro inmediato, llame al 112 (número nacional de emergencias).',
+    'sos.keyword.sent': 'Alerta de emergencia enviada a sus contactos y a los servicios de emergencia locales. Llame al 112 si puede.',
+    'sos.keyword.sentNoLocation': 'Alerta de emergencia enviada a sus contactos y a los servicios de emergencia locales. Envíe HELP seguido del lugar donde está para añadir su ubicación. Llame al 112 si puede.',
+    'sos.keyword.sentThrottled': 'Alerta de emergencia enviada a los servicios de emergencia locales. Llame al 112 si puede.',
+    'sos.keyword.stillActive': 'Su alerta de emergencia sigue activa y se ha avisado a los servicios de ayuda. Envíe HELP seguido del lugar donde está para añadir su ubicación.',
+    'sos.keyword.locationAdded': 'Su alerta de emergencia sigue activa. Hemos añadido la descripción de su ubicación. Llame al 112 si puede.',
+
+    'sos.chat.relay': '🚓 {name} (asistencia SOS): {message}\nResponda a este SMS para contestar.',
+    'sos.chat.defaultName': 'Equipo de emergencia',
+
+    'checkin.reminder': '⏰ Control de seguridad previsto antes de las {time}. Abra la aplicación para confirmar; si no, se enviará una alerta de emergencia a sus contactos {grace} minutos después.',
+    'checkin.reminderAt': '⏰ Control de seguridad previsto antes de las {time} en {place}. Abra la aplicación para confirmar; si no, se enviará una alerta de emergencia a sus contactos {grace} minutos después.',
+
+    'geofence.entry': '⚠️ Ha entrado en una zona restringida: {area}. {message}',
+
+    'otp.code': 'Su código de verificación de Tourist Safety System es: {otp}. Válido durante 10 minutos.',
+
+    'verification.approved': '✅ Sus documentos de Tourist Safety System han sido verificados. Su cuenta está totalmente activa.',
+    'verification.rejected': '❌ La verificación de sus documentos de Tourist Safety System no fue aprobada. Motivo: {reason}. Inicie sesión para volver a enviarlos.',
+
+    'diagnostics.test': 'Mensaje de prueba de Tourist Safety System (enviado mediante {transport}). No es necesario hacer nada.'
+};
@@ -0,0 +1,46 @@
+// French message catalogue
+
+module.exports = {
+    'sos.alert.title': '🚨 ALERTE D\'URGENCE 🚨',
+    'sos.alert.duress': '⚠️ L\'alerte a été annulée avec le code PIN de contrainte - le voyageur est peut-être sous la menace. N\'appelez pas son téléphone.',
+    'sos.alert.drill': '*** EXERCICE - CECI N\'EST PAS UNE VRAIE URGENCE ***',
+    'sos.alert.source.sms': 'Envoyée par SMS - le voyageur n\'a peut-être pas de connexion internet.',
+    'sos.alert.source.checkin': 'Alerte automatique : le voyageur n\'a pas confirmé un point de contrôle de sécurité prévu.',
+    'sos.alert.source.device': 'Envoyée depuis le bouton d\'alerte ou l\'objet connecté du voyageur.',
+    'sos.alert.location': 'Position : {url}',
+    'sos.alert.lastKnownLocation': 'Dernière position connue : {url}',
+    'sos.alert.noLocation': 'Position : GPS indisponible',
+    'sos.alert.description': 'Le voyageur indique : « {text} »',
+    'sos.alert.tracking': 'Suivi en direct : {url}',
+    'sos.alert.time': 'Heure : {time}',
+    'sos.alert.callBack': 'Rappelez immédiatement, s\'il vous plaît !',
+    'sos.alert.ackPrompt': 'Répondez OK ou touchez ce lien pour confirmer que vous avez vu ce message : {url}',
+
+    'sos.acknowledged': '✅ {name} a vu votre alerte d\'urgence.',
+    'sos.acknowledged.defaultName': 'Votre contact d\'urgence',
+    'sos.ackReply.thanks': 'Merci. Nous avons informé le voyageur que vous avez vu son alerte.',
+    'sos.ackReply.closed': 'Cette alerte d\'urgence est déjà clôturée. Merci.',
+    'sos.ackReply.used': 'Votre confirmation a déjà été enregistrée. Merci.',
+
+    'sos.keyword.unknownSender': 'Message reçu. Si vous êtes en danger immédiat, appelez le 112 (numéro d\'urgence national).',
+    'sos.keyword.sent': 'Alerte d\'urgence envoyée à vos contacts et aux secours locaux. Appelez le 112 si vous le pouvez.',
+    'sos.keyword.sentNoLocation': 'Alerte d\'urgence envoyée à vos contacts et aux secours locaux. Envoyez HELP suivi de l\'endroit où vous êtes pour ajouter votre position. Appelez le 112 si vous le pouvez.',
+    'sos.keyword.sentThrottled': 'Alerte d\'urgence envoyée aux secours locaux. Appelez le 112 si vous le pouvez.',
+    'sos.keyword.stillActive': 'Votre alerte d\'urgence est toujours active et les secours ont été prévenus. Envoyez HELP suivi de l\'endroit où vous êtes pour ajouter votre position.',
+    'sos.keyword.locationAdded': 'Votre alerte d\'urgence est toujours active. Nous avons ajouté la description de votre position. Appelez le 112 si vous le pouvez.',
+
+    'sos.chat.relay': '🚓 {name} (assistance SOS) : {message}\nRépondez à ce SMS pour lui écrire.',
+    'sos.chat.defaultName': 'Secouriste',
+
+    'checkin.reminder': '⏰ Point de contrôle de sécurité prévu avant {time}. Ouvrez l\'application pour confirmer, sinon une alerte d\'urgence sera envoyée à vos contacts {grace} minutes plus tard.',
+    'checkin.reminderAt': '⏰ Point de contrôle de sécurité prévu avant {time} à {place}. Ouvrez l\'application pour confirmer, sinon une alerte d\'urgence sera envoyée à vos contacts {grace} minutes plus tard.',
+
+    'geofence.entry': '⚠️ Vous êtes entré dans une zone réglementée : {area}. {message}',
+
+    'otp.code': 'Votre code de vérification Tourist Safety System est : {otp}. Valable 10 minutes.',
+
+    'verification.approved': '✅ Vos documents Tourist Safety System ont été vérifiés. Votre compte est entièrement actif.',
+    'verification.rejected': '❌ La vérification de vos documents Tourist Safety System n\'a pas été approuvée. Motif : {reason}. Connectez-vous pour les soumettre à nouveau.',
+
+    'diagnostics.test': 'Message de test de Tourist Safety System (envoyé via {transport}). Aucune action n\'est requise.'
+};
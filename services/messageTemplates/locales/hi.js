@@ -0,0 +1,46 @@
+// Hindi message catalogue
+
+module.exports = {
+    'sos.alert.title': '🚨 आपातकालीन अलर्ट 🚨',
+    'sos.alert.duress': '⚠️ अलर्ट को DURESS PIN से रद्द किया गया - यात्री दबाव में हो सकता है। उनके फ़ोन पर कॉल न करें।',
+    'sos.alert.drill': '*** अभ्यास - यह एक ड्रिल है, वास्तविक आपातकाल नहीं ***',
+    'sos.alert.source.sms': 'SMS कीवर्ड से भेजा गया - यात्री के पास शायद इंटरनेट नहीं है।',
+    'sos.alert.source.checkin': 'स्वचालित अलर्ट: यात्री ने निर्धारित सुरक्षा चेक-इन नहीं किया।',
+    'sos.alert.source.device': 'यात्री के जुड़े हुए पैनिक बटन या वियरेबल डिवाइस से भेजा गया।',
+    'sos.alert.location': 'स्थान: {url}',
+    'sos.alert.lastKnownLocation': 'अंतिम ज्ञात स्थान: {url}',
+    'sos.alert.noLocation': 'स्थान: GPS उपलब्ध नहीं',
+    'sos.alert.description': 'यात्री का संदेश: "{text}"',
+    'sos.alert.tracking': 'लाइव ट्रैकिंग: {url}',
+    'sos.alert.time': 'समय: {time}',
+    'sos.alert.callBack': 'कृपया तुरंत वापस कॉल करें!',
+    'sos.alert.ackPrompt': 'पुष्टि के लिए OK लिखकर जवाब दें या इस लिंक पर टैप करें: {url}',
+
+    'sos.acknowledged': '✅ {name} ने आपका आपातकालीन अलर्ट देख लिया है।',
+    'sos.acknowledged.defaultName': 'आपके आपातकालीन संपर्क',
+    'sos.ackReply.thanks': 'धन्यवाद। हमने यात्री को बता दिया है कि आपने उनका अलर्ट देख लिया है।',
+    'sos.ackReply.closed': 'यह आपातकालीन अलर्ट पहले ही बंद हो चुका है। धन्यवाद।',
+    'sos.ackReply.used': 'आपकी पुष्टि पहले ही दर्ज हो चुकी है। धन्यवाद।',
+
+    'sos.keyword.unknownSender': 'संदेश प्राप्त हुआ। यदि आप तत्काल खतरे में हैं तो 112 (राष्ट्रीय आपातकालीन नंबर) पर कॉल करें।',
+    'sos.keyword.sent': 'आपातकालीन अलर्ट आपके संपर्कों और स्थानीय सहायता दल को भेज दिया गया है। हो सके तो 112 पर कॉल करें।',
+    'sos.keyword.sentNoLocation': 'आपातकालीन अलर्ट आपके संपर्कों और स्थानीय सहायता दल को भेज दिया गया है। अपना स्थान जोड़ने के लिए HELP के बाद अपनी जगह लिखकर भेजें। हो सके तो 112 पर कॉल करें।',
+    'sos.keyword.sentThrottled': 'आपातकालीन अलर्ट स्थानीय सहायता दल को भेज दिया गया है। हो सके तो 112 पर कॉल करें।',
+    'sos.keyword.stillActive': 'आपका आपातकालीन अलर्ट अभी सक्रिय है और सहायता को सूचित कर दिया गया है। अपना स्थान जोड़ने के लिए HELP के बाद अपनी जगह लिखकर भेजें।',
+    'sos.keyword.locationAdded': 'आपका आपातकालीन अलर्ट अभी सक्रिय है। हमने आपके स्थान का विवरण जोड़ दिया है। हो सके तो 112 पर कॉल करें।',
+
+    'sos.chat.relay': '🚓 {name} (SOS सहायता): {message}\nजवाब देने के लिए इस SMS का उत्तर दें।',
+    'sos.chat.defaultName': 'सहायता अधिकारी',
+
+    'checkin.reminder': '⏰ सुरक्षा चेक-इन {time} तक करना है। ऐप खोलकर चेक-इन करें, वरना उसके {grace} मिनट बाद आपके संपर्कों को आपातकालीन अलर्ट भेज दिया जाएगा।',
+    'checkin.reminderAt': '⏰ {place} पर सुरक्षा चेक-इन {time} तक करना है। ऐप खोलकर चेक-इन करें, वरना उसके {grace} मिनट बाद आपके संपर्कों को आपातकालीन अलर्ट भेज दिया जाएगा।',
+
+    'geofence.entry': '⚠️ आप एक प्रतिबंधित क्षेत्र में प्रवेश कर चुके हैं: {area}। {message}',
+
+    'otp.code': 'आपका Tourist Safety System सत्यापन कोड है: {otp}। यह 10 मिनट तक मान्य है।',
+
+    'verification.approved': '✅ आपके Tourist Safety System दस्तावेज़ सत्यापित हो गए हैं। आपका खाता पूरी तरह सक्रिय है।',
+    'verification.rejected': '❌ आपके Tourist Safety System दस्तावेज़ों का सत्यापन स्वीकृत नहीं हुआ। कारण: {reason}। कृपया लॉग इन करके दोबारा जमा करें।',
+
+    'diagnostics.test': 'Tourist Safety System से परीक्षण संदेश ({transport} द्वारा भेजा गया)। कोई कार्रवाई आवश्यक नहीं है।'
+};
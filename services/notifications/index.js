@@ -0,0 +1,153 @@
+// ===================================================================
+// NOTIFICATION SERVICE - Channel-Agnostic Message Delivery
+// ===================================================================
+// Routes outgoing SMS and email through the transport configured per
+// channel, so route code never talks to a provider directly.
+// sendTemplate renders the body from services/messageTemplates first.
+// Messages about drill incidents (meta.drill) always go to the outbox.
+//
+//   NOTIFY_SMS_TRANSPORT   = twilio | outbox  (default: twilio)
+//   NOTIFY_EMAIL_TRANSPORT = smtp   | outbox  (default: smtp)
+//
+// Outside production an unconfigured provider falls back to the outbox.
+// In production it is an error: the outbox only records messages, so a
+// missing setting must fail deliveries (and get them retried / shown to
+// operators) rather than have them look sent. Set the variable to
+// "outbox" to use it deliberately.
+
+const twilioTransport = require('./transports/twilio');
+const smtpTransport = require('./transports/smtp');
+const outboxTransport = require('./transports/outbox');
+const messageTemplates = require('../messageTemplates');
+
+const transports = {
+    [twilioTransport.name]: twilioTransport,
+    [smtpTransport.name]: smtpTransport,
+    [outboxTransport.name]: outboxTransport
+};
+
+const channelConfig = {
+    sms: { envKey: 'NOTIFY_SMS_TRANSPORT', preferred: twilioTransport.name },
+    email: { envKey: 'NOTIFY_EMAIL_TRANSPORT', preferred: smtpTransport.name }
+};
+
+// Register an additional transport (e.g. WhatsApp, push) without touching routes
+function registerTransport(transport) {
+    transports[transport.name] = transport;
+}
+
+// Resolve the transport for a channel from config; the outbox stands in for
+// an unconfigured provider only outside production
+function getTransport(channel) {
+    const config = channelConfig[channel];
+    if (!config) {
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+
+    const configured = process.env[config.envKey];
+    if (configured) {
+        const transport = transports[configured];
+        if (!transport || !transport.channels.includes(channel)) {
+            throw new Error(`Transport "${configured}" cannot deliver ${channel} messages`);
+        }
+        return transport;
+    }
+
+    const preferred = transports[config.preferred];
+    if (preferred.isConfigured()) {
+        return preferred;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`No ${channel} provider configured: set up ${preferred.name} or set ${config.envKey}=outbox`);
+    }
+    return outboxTransport;
+}
+
+// Which transport each channel resolves to and how each transport is doing.
+// With live: true, configured transports are asked to check their connection.
+async function getProviderStatus({ live = false } = {}) {
+    const channels = Object.entries(channelConfig).map(([channel, config]) => {
+        const entry = { channel, configuredBy: process.env[config.envKey] ? config.envKey : 'auto' };
+        try {
+            entry.transport = getTransport(channel).name;
+            entry.fallback = !process.env[config.envKey] && entry.transport !== config.preferred;
+        } catch (error) {
+            entry.error = error.message;
+        }
+        return entry;
+    });
+
+    const providers = [];
+    for (const transport of Object.values(transports)) {
+        const provider = {
+            name: transport.name,
+            channels: transport.channels,
+            configured: transport.isConfigured(),
+            usedFor: channels.filter(entry => entry.transport === transport.name).map(entry => entry.channel)
+        };
+
+        if (live && provider.configured && transport.checkHealth) {
+            const startedAt = Date.now();
+            try {
+                provider.health = await transport.checkHealth();
+            } catch (error) {
+                provider.health = { ok: false, detail: error.message };
+            }
+            provider.health.latencyMs = Date.now() - startedAt;
+        }
+
+        providers.push(provider);
+    }
+
+    return { channels, providers };
+}
+
+// Format phone numbers to E.164 format
+function formatPhoneNumber(phone) {
+    if (!phone) return null;
+    // Remove all non-digits
+    let cleaned = phone.replace(/\D/g, '');
+    // Add +91 if it's an Indian number without country code
+    if (cleaned.length === 10) {
+        cleaned = '91' + cleaned;
+    }
+    return '+' + cleaned;
+}
+
+// Send a message through the configured transport for its channel.
+// Resolves with { transport, providerMessageId, status, awaitsReceipt }; rejects on provider errors.
+async function send({ channel = 'sms', to, subject, body, meta }) {
+    const transport = meta && meta.drill ? outboxTransport : getTransport(channel);
+    const recipient = channel === 'sms' ? formatPhoneNumber(to) : to;
+
+    if (!recipient) {
+        throw new Error(`No ${channel} recipient provided`);
+    }
+
+    const result = await transport.send({ channel, to: recipient, subject, body, meta });
+
+    return {
+        transport: transport.name,
+        channel,
+        to: recipient,
+        providerMessageId: result.providerMessageId,
+        status: result.status,
+        awaitsReceipt: !!result.awaitsReceipt
+    };
+}
+
+// Render a message template for the recipient's locale and send it
+async function sendTemplate({ channel = 'sms', to, subject, template, params, locale, meta }) {
+    const body = messageTemplates.render(template, params, locale);
+    return send({ channel, to, subject, body, meta: { ...meta, template } });
+}
+
+module.exports = {
+    send,
+    sendTemplate,
+    getTransport,
+    getProviderStatus,
+    registerTransport,
+    formatPhoneNumber,
+    getTwilioClient: twilioTransport.getClient
+};
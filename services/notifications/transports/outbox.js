@@ -0,0 +1,70 @@
+// ===================================================================
+// OUTBOX TRANSPORT - Capture Messages Locally Instead of Sending
+// ===================================================================
+// Used in development/staging to run notification flows offline.
+// OUTBOX_STORE selects where messages go: mongo (default), disk or both.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const OutboxMessage = require('../../../models/OutboxMessage');
+
+const outboxDir = process.env.OUTBOX_DIR || './outbox';
+
+function getStores() {
+    const store = process.env.OUTBOX_STORE || 'mongo';
+    return store === 'both' ? ['mongo', 'disk'] : [store];
+}
+
+function isConfigured() {
+    return true;
+}
+
+async function send({ channel, to, subject, body, meta }) {
+    const stores = getStores();
+    let messageId = null;
+
+    if (stores.includes('mongo')) {
+        const message = await OutboxMessage.create({ channel, to, subject, body, meta });
+        messageId = message._id.toString();
+    }
+
+    if (stores.includes('disk')) {
+        if (!fs.existsSync(outboxDir)) {
+            fs.mkdirSync(outboxDir, { recursive: true });
+        }
+
+        messageId = messageId || `outbox-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+        const entry = { id: messageId, channel, to, subject, body, meta, createdAt: new Date().toISOString() };
+        await fs.promises.appendFile(path.join(outboxDir, 'outbox.jsonl'), JSON.stringify(entry) + '\n');
+    }
+
+    console.log(`📥 Outbox captured ${channel} to ${to}`);
+
+    return {
+        providerMessageId: messageId,
+        status: 'delivered'
+    };
+}
+
+// Check that the configured stores can accept messages
+async function checkHealth() {
+    const stores = getStores();
+
+    if (stores.includes('mongo') && mongoose.connection.readyState !== 1) {
+        return { ok: false, detail: 'MongoDB is not connected' };
+    }
+    if (stores.includes('disk') && fs.existsSync(outboxDir)) {
+        await fs.promises.access(outboxDir, fs.constants.W_OK);
+    }
+
+    return { ok: true, detail: `Capturing to ${stores.join(' + ')}` };
+}
+
+module.exports = {
+    name: 'outbox',
+    channels: ['sms', 'email'],
+    isConfigured,
+    checkHealth,
+    send
+};
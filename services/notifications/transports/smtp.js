@@ -0,0 +1,59 @@
+// ===================================================================
+// SMTP TRANSPORT - Email via Nodemailer
+// ===================================================================
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Lazily create the shared SMTP transporter
+function getTransporter() {
+    if (!transporter && isConfigured()) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+    return transporter;
+}
+
+function isConfigured() {
+    return !!(process.env.SMTP_HOST && process.env.SMTP_FROM);
+}
+
+async function send({ to, subject, body }) {
+    if (!isConfigured()) {
+        throw new Error('SMTP is not configured');
+    }
+
+    const info = await getTransporter().sendMail({
+        from: process.env.SMTP_FROM,
+        to,
+        subject: subject || 'Tourist Safety System',
+        text: body
+    });
+
+    return {
+        providerMessageId: info.messageId,
+        status: 'sent'
+    };
+}
+
+// Live check that the SMTP server accepts our connection and credentials
+async function checkHealth() {
+    await getTransporter().verify();
+    return { ok: true, detail: `Connected to ${process.env.SMTP_HOST}` };
+}
+
+module.exports = {
+    name: 'smtp',
+    channels: ['email'],
+    isConfigured,
+    checkHealth,
+    send
+};
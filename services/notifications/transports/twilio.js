@@ -0,0 +1,58 @@
+// ===================================================================
+// TWILIO TRANSPORT - SMS via Twilio Programmable Messaging
+// ===================================================================
+
+const twilio = require('twilio');
+
+let client = null;
+
+// Lazily create the shared Twilio client (also used for the Verify API)
+function getClient() {
+    if (!client && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+        client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return client;
+}
+
+function isConfigured() {
+    return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER);
+}
+
+async function send({ to, body }) {
+    if (!isConfigured()) {
+        throw new Error('Twilio is not configured');
+    }
+
+    // Delivery receipts can only reach us when the server is publicly addressable
+    const statusCallback = process.env.PUBLIC_BASE_URL
+        ? `${process.env.PUBLIC_BASE_URL}/api/webhooks/sms/status`
+        : undefined;
+
+    const message = await getClient().messages.create({
+        body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to,
+        statusCallback
+    });
+
+    return {
+        providerMessageId: message.sid,
+        status: message.status,
+        awaitsReceipt: !!statusCallback
+    };
+}
+
+// Live check that the account credentials work and the account is usable
+async function checkHealth() {
+    const account = await getClient().api.v2010.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+    return { ok: account.status === 'active', detail: `Account ${account.status}` };
+}
+
+module.exports = {
+    name: 'twilio',
+    channels: ['sms'],
+    isConfigured,
+    getClient,
+    checkHealth,
+    send
+};
@@ -0,0 +1,82 @@
+// ===================================================================
+// RESPONDER ROUTING - Pick Agencies for an SOS Alert
+// ===================================================================
+// alertType decides which agency types are involved; the alert
+// location decides which of their stations has jurisdiction.
+
+const Responder = require('../models/Responder');
+
+const AGENCIES_BY_ALERT_TYPE = {
+    emergency: ['police', 'tourist_police'],
+    medical: ['hospital', 'tourist_police'],
+    security: ['police', 'tourist_police'],
+    natural_disaster: ['disaster_response', 'police']
+};
+
+function getAgencyTypes(alertType) {
+    return AGENCIES_BY_ALERT_TYPE[alertType] || AGENCIES_BY_ALERT_TYPE.emergency;
+}
+
+// Find responders for an alert. Agency types with no station covering
+// the location (or alerts without GPS) fall back to isFallback responders.
+async function findRespondersForAlert({ alertType, location }) {
+    const agencyTypes = getAgencyTypes(alertType);
+    const hasLocation = location && location.latitude != null && location.longitude != null;
+
+    let matched = [];
+    if (hasLocation) {
+        matched = await Responder.find({
+            isActive: true,
+            agencyType: { $in: agencyTypes },
+            jurisdiction: {
+                $geoIntersects: {
+                    $geometry: {
+                        type: 'Point',
+                        coordinates: [location.longitude, location.latitude]
+                    }
+                }
+            }
+        });
+    }
+
+    const coveredTypes = new Set(matched.map(responder => responder.agencyType));
+    const uncoveredTypes = agencyTypes.filter(type => !coveredTypes.has(type));
+
+    let fallback = [];
+    if (uncoveredTypes.length > 0) {
+        fallback = await Responder.find({
+            isActive: true,
+            isFallback: true,
+            agencyType: { $in: uncoveredTypes }
+        });
+    }
+
+    return matched.concat(fallback);
+}
+
+// Turn responders into delivery recipients for the SOS delivery service
+function toRecipients(responders, body) {
+    const recipients = [];
+
+    responders.forEach(responder => {
+        responder.contactChannels.forEach(contact => {
+            recipients.push({
+                recipient: contact.address,
+                name: responder.name,
+                role: 'responder',
+                channel: contact.channel,
+                responderId: responder._id,
+                body
+            });
+        });
+    });
+
+    return recipients;
+}
+
+module.exports = {
+    AGENCIES_BY_ALERT_TYPE,
+    getAgencyTypes,
+    findRespondersForAlert,
+    toRecipients
+};
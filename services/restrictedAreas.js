@@ -0,0 +1,205 @@
+// ===================================================================
+// RESTRICTED AREA SERVICE - Creation, Moderation & Bulk Import
+// ===================================================================
+// Areas submitted by tourists stay visible only to their creator until
+// an admin approves them; areas created or imported by admins are
+// approved straight away. Anyone signed in can report a published area,
+// which puts it back in the admin moderation queue.
+
+const RestrictedArea = require('../models/RestrictedArea');
+const { validatePolygonGeometry, getGeometryCentre } = require('../utils/geo');
+
+const DEFAULT_ALERT_MESSAGE = 'This area is restricted for safety reasons. Please avoid entering.';
+
+// Build an unsaved area from client fields: a circle from latitude/longitude
+// plus radius, or a polygon from a GeoJSON geometry.
+// Returns { area } or { error }.
+function buildRestrictedArea(fields, { createdBy, createdByAdmin }) {
+    const {
+        name,
+        description,
+        latitude,
+        longitude,
+        radius,
+        geometry,
+        severity,
+        category,
+        validFrom,
+        validUntil,
+        alertMessage
+    } = fields;
+
+    // Validate required fields
+    if (!name || (!geometry && (latitude == null || latitude === '' || longitude == null || longitude === ''))) {
+        return { error: 'Name and either latitude/longitude or a polygon geometry are required' };
+    }
+
+    const area = new RestrictedArea({
+        name,
+        description,
+        severity: severity || 'medium',
+        category: category || 'other',
+        validFrom: validFrom ? new Date(validFrom) : undefined,
+        validUntil: validUntil ? new Date(validUntil) : undefined,
+        alertMessage: alertMessage || DEFAULT_ALERT_MESSAGE,
+        createdBy,
+        createdByAdmin
+    });
+
+    if (geometry) {
+        const geometryError = validatePolygonGeometry(geometry);
+        if (geometryError) {
+            return { error: geometryError };
+        }
+        area.shape = 'polygon';
+        area.geometry = geometry;
+        area.location = { type: 'Point', coordinates: getGeometryCentre(geometry) };
+        area.radius = undefined;
+    } else {
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+
+        // Validate coordinates
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return { error: 'Invalid coordinates' };
+        }
+        // The default only fills an empty field; a bad value is an error
+        const meters = radius == null || radius === '' ? 1000 : Number(radius);
+        if (!Number.isFinite(meters) || meters <= 0) {
+            return { error: 'Radius must be a positive number of meters' };
+        }
+
+        area.location = RestrictedArea.toPoint(lat, lng);
+        area.radius = meters;
+    }
+
+    // Admins are trusted; everyone else waits for review
+    if (createdByAdmin) {
+        area.reviewStatus = 'approved';
+        area.review = { by: createdByAdmin, at: new Date(), note: 'Created by admin' };
+    }
+
+    return { area };
+}
+
+// Publish an area. Any open reports against it are dismissed.
+async function approveArea(areaId, admin, note) {
+    const area = await RestrictedArea.findById(areaId);
+    if (!area) return null;
+
+    area.reviewStatus = 'approved';
+    area.review = { by: admin._id, at: new Date(), note };
+    area.reports.forEach(report => {
+        if (report.status === 'open') report.status = 'dismissed';
+    });
+    area.openReports = 0;
+
+    await area.save();
+    console.log(`✅ Restricted area "${area.name}" approved by ${admin.username}`);
+    return area;
+}
+
+// Hide an area from everyone but its creator. Any open reports are upheld.
+async function rejectArea(areaId, admin, reason) {
+    const area = await RestrictedArea.findById(areaId);
+    if (!area) return null;
+
+    area.reviewStatus = 'rejected';
+    area.review = { by: admin._id, at: new Date(), note: reason };
+    area.reports.forEach(report => {
+        if (report.status === 'open') report.status = 'upheld';
+    });
+    area.openReports = 0;
+
+    await area.save();
+    console.log(`❌ Restricted area "${area.name}" rejected by ${admin.username}`);
+    return area;
+}
+
+// Flag a published area for review. One open report per user per area.
+// Resolves with { area }, { duplicate: true } or null when the area isn't public.
+async function reportArea(areaId, user, { reason, note }) {
+    const report = { userId: user._id, reason, note, at: new Date(), status: 'open' };
+
+    const area = await RestrictedArea.findOneAndUpdate(
+        {
+            _id: areaId,
+            ...RestrictedArea.activeFilter(),
+            reports: { $not: { $elemMatch: { userId: user._id, status: 'open' } } }
+        },
+        {
+            $push: { reports: report },
+            $inc: { openReports: 1 }
+        },
+        { new: true }
+    );
+
+    if (area) {
+        console.log(`🚩 Restricted area "${area.name}" reported by ${user.username} (${reason})`);
+        return { area };
+    }
+
+    const visible = await RestrictedArea.exists({ _id: areaId, ...RestrictedArea.activeFilter() });
+    return visible ? { duplicate: true } : null;
+}
+
+// Validate parsed import rows (see services/areaFormats) as admin-created
+// areas without saving anything. Each result is { row, name, valid,
+// errors, area? }; `areas` holds the documents ready to insert.
+function prepareImport(rows, admin) {
+    const results = [];
+    const areas = [];
+
+    rows.forEach(({ row, fields, error }) => {
+        if (error) {
+            results.push({ row, valid: false, errors: [error] });
+            return;
+        }
+
+        const built = buildRestrictedArea(fields, { createdByAdmin: admin._id });
+        if (built.error) {
+            results.push({ row, name: fields.name, valid: false, errors: [built.error] });
+            return;
+        }
+
+        const validation = built.area.validateSync();
+        if (validation) {
+            results.push({
+                row,
+                name: fields.name,
+                valid: false,
+                errors: Object.values(validation.errors).map(fieldError => fieldError.message)
+            });
+            return;
+        }
+
+        areas.push(built.area);
+        results.push({
+            row,
+            name: built.area.name,
+            valid: true,
+            errors: [],
+            area: {
+                shape: built.area.shape,
+                latitude: built.area.latitude,
+                longitude: built.area.longitude,
+                radius: built.area.radius,
+                severity: built.area.severity,
+                category: built.area.category,
+                validFrom: built.area.validFrom,
+                validUntil: built.area.validUntil
+            }
+        });
+    });
+
+    return { results, areas };
+}
+
+module.exports = {
+    DEFAULT_ALERT_MESSAGE,
+    buildRestrictedArea,
+    prepareImport,
+    approveArea,
+    rejectArea,
+    reportArea
+};
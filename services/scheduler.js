@@ -0,0 +1,46 @@
+// ===================================================================
+// SCHEDULER - Periodic Background Jobs
+// ===================================================================
+// Jobs keep their due times in MongoDB and are swept on an interval,
+// so pending work survives a server restart.
+
+const jobs = [];
+
+// Register a job; handler is awaited and never run concurrently with itself
+function registerJob(name, intervalMs, handler) {
+    jobs.push({ name, intervalMs, handler, timer: null, running: false });
+}
+
+async function runJob(job) {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+        await job.handler();
+    } catch (error) {
+        console.error(`❌ Scheduled job "${job.name}" failed:`, error);
+    } finally {
+        job.running = false;
+    }
+}
+
+function start() {
+    jobs.forEach(job => {
+        if (job.timer) return;
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        console.log(`⏱️ Scheduled job "${job.name}" every ${job.intervalMs / 1000}s`);
+    });
+}
+
+function stop() {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+}
+
+module.exports = {
+    registerJob,
+    start,
+    stop
+};
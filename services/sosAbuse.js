@@ -0,0 +1,210 @@
+// ===================================================================
+// SOS ABUSE SERVICE - Rate Limits, Cooldown & False-Alarm Scoring
+// ===================================================================
+// Every SOS fans out SMS to contacts and responders, so client-raised
+// alerts pass through here first:
+//   - a re-trigger within SOS_MERGE_COOLDOWN_MINUTES of an open alert is
+//     merged into it instead of creating a new incident;
+//   - at most SOS_RATE_MAX_PER_USER / SOS_RATE_MAX_PER_DEVICE new alerts
+//     per SOS_RATE_WINDOW_MINUTES;
+//   - users whose recent alerts were mostly cancelled or marked false
+//     alarms get a tighter limit.
+// An alert over a limit is still created, marked throttled, so a genuine
+// emergency is never dropped; it just skips the tourist's contacts.
+// Admins can whitelist a user to lift the limits. Drills only merge with
+// other drills and never count towards limits or scores.
+
+const SOSLog = require('../models/SOSLog');
+const User = require('../models/User');
+const incidentEvents = require('./incidentEvents');
+
+const MERGE_COOLDOWN_MS = (parseFloat(process.env.SOS_MERGE_COOLDOWN_MINUTES) || 10) * 60 * 1000;
+const RATE_WINDOW_MS = (parseFloat(process.env.SOS_RATE_WINDOW_MINUTES) || 60) * 60 * 1000;
+const MAX_PER_USER = parseInt(process.env.SOS_RATE_MAX_PER_USER) || 3;
+const MAX_PER_DEVICE = parseInt(process.env.SOS_RATE_MAX_PER_DEVICE) || 3;
+const SCORE_LOOKBACK_MS = (parseFloat(process.env.SOS_FALSE_ALARM_LOOKBACK_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Score at which a user is limited to one alert per window
+const SCORE_LIMIT = parseFloat(process.env.SOS_FALSE_ALARM_SCORE_LIMIT) || 5;
+
+// A false alarm confirmed by an operator weighs more than a self-cancel
+const CANCELLED_WEIGHT = 1;
+const FALSE_ALARM_WEIGHT = 2;
+
+// False-alarm history over the lookback period.
+// Duress cancels are real emergencies and never count against the user.
+async function getFalseAlarmScore(userId) {
+    const since = new Date(Date.now() - SCORE_LOOKBACK_MS);
+
+    const counts = await SOSLog.aggregate([
+        { $match: { userId, timestamp: { $gte: since }, 'duress.triggeredAt': null, isDrill: { $ne: true } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+    const total = counts.reduce((sum, entry) => sum + entry.count, 0);
+    const cancelled = byStatus['cancelled'] || 0;
+    const falseAlarms = byStatus['false-alarm'] || 0;
+
+    return {
+        score: cancelled * CANCELLED_WEIGHT + falseAlarms * FALSE_ALARM_WEIGHT,
+        cancelled,
+        falseAlarms,
+        total
+    };
+}
+
+// Fold a rapid re-trigger into the user's open alert
+async function mergeRetrigger(sosLog, { location, device } = {}) {
+    const now = new Date();
+
+    await SOSLog.updateOne(
+        { _id: sosLog._id },
+        {
+            $inc: { retriggerCount: 1 },
+            $set: { lastRetriggeredAt: now }
+        }
+    );
+
+    if (location && location.latitude != null && location.longitude != null) {
+        const updated = await SOSLog.appendLocation({ _id: sosLog._id }, { ...location, recordedAt: now });
+        if (updated) {
+            incidentEvents.publish(updated._id, 'location', {
+                location: updated.location,
+                recordedAt: updated.lastLocationAt
+            });
+        }
+    }
+
+    await SOSLog.addTimelineEntry(sosLog._id, {
+        type: 'retrigger',
+        message: `SOS pressed again${device ? ` on "${device.name}"` : ''} - merged into this alert`,
+        author: device
+            ? { kind: 'device', id: device._id, name: device.name }
+            : { kind: 'user', id: sosLog.userId, name: sosLog.userInfo.username },
+        at: now
+    });
+    incidentEvents.publish(sosLog._id, 'retrigger', { count: (sosLog.retriggerCount || 0) + 1, at: now });
+
+    console.log(`🔁 SOS re-trigger merged into open alert ${sosLog._id}`);
+}
+
+// Decide what a new client-raised alert should do.
+// Resolves with one of:
+//   { action: 'merge', sosLog }                      - re-trigger of an open alert
+//   { action: 'throttle', reason, retryAfterSeconds, abuse } - over a rate limit
+//   { action: 'create', abuse }                      - go ahead; abuse is stored on the alert
+async function assessTrigger(user, { device, isDrill = false } = {}) {
+    const now = Date.now();
+
+    const openAlert = await SOSLog.findOne({
+        userId: user._id,
+        status: { $in: SOSLog.OPEN_STATUSES },
+        'duress.triggeredAt': null,
+        isDrill: isDrill ? true : { $ne: true },
+        timestamp: { $gte: new Date(now - MERGE_COOLDOWN_MS) }
+    }).sort({ timestamp: -1 }).select('-locationTrail');
+
+    if (openAlert) {
+        return { action: 'merge', sosLog: openAlert };
+    }
+
+    // Drill messages only reach the outbox, so there is nothing to protect
+    if (isDrill) {
+        return { action: 'create' };
+    }
+
+    const history = await getFalseAlarmScore(user._id);
+    const whitelisted = !!(user.sosWhitelist && user.sosWhitelist.enabled);
+    const abuse = {
+        score: history.score,
+        cancelled: history.cancelled,
+        falseAlarms: history.falseAlarms,
+        whitelisted
+    };
+
+    if (whitelisted) {
+        return { action: 'create', abuse };
+    }
+
+    const since = new Date(now - RATE_WINDOW_MS);
+    const userLimit = history.score >= SCORE_LIMIT ? 1 : MAX_PER_USER;
+
+    const checks = [{
+        filter: { userId: user._id, source: { $in: ['app', 'device', 'sms'] }, isDrill: { $ne: true } },
+        limit: userLimit,
+        reason: history.score >= SCORE_LIMIT ? 'false-alarm-history' : 'user-rate'
+    }];
+    if (device) {
+        checks.push({ filter: { deviceId: device._id, isDrill: { $ne: true } }, limit: MAX_PER_DEVICE, reason: 'device-rate' });
+    }
+
+    for (const check of checks) {
+        const recent = await SOSLog.find({ ...check.filter, createdAt: { $gte: since } })
+            .sort({ createdAt: 1 })
+            .select('createdAt')
+            .limit(check.limit);
+
+        if (recent.length >= check.limit) {
+            const retryAt = recent[0].createdAt.getTime() + RATE_WINDOW_MS;
+            console.warn(`⚠️ SOS throttled for ${user.username} (${check.reason}, score ${history.score})`);
+
+            return {
+                action: 'throttle',
+                reason: check.reason,
+                retryAfterSeconds: Math.max(1, Math.ceil((retryAt - now) / 1000)),
+                abuse: { ...abuse, throttled: true, throttleReason: check.reason }
+            };
+        }
+    }
+
+    return { action: 'create', abuse };
+}
+
+// Summary shown to admins reviewing a user
+async function getAbuseProfile(user) {
+    const history = await getFalseAlarmScore(user._id);
+    const recentAlerts = await SOSLog.countDocuments({
+        userId: user._id,
+        isDrill: { $ne: true },
+        createdAt: { $gte: new Date(Date.now() - RATE_WINDOW_MS) }
+    });
+
+    return {
+        ...history,
+        scoreLimit: SCORE_LIMIT,
+        limited: history.score >= SCORE_LIMIT,
+        recentAlerts,
+        rateLimit: { windowMinutes: RATE_WINDOW_MS / 60000, maxPerUser: MAX_PER_USER, maxPerDevice: MAX_PER_DEVICE },
+        whitelist: user.sosWhitelist && user.sosWhitelist.enabled ? user.sosWhitelist : { enabled: false }
+    };
+}
+
+// Admin override: exempt (or stop exempting) a user from the SOS limits
+async function setWhitelist(userId, { enabled, reason }, admin) {
+    const user = await User.findByIdAndUpdate(
+        userId,
+        {
+            $set: {
+                sosWhitelist: enabled
+                    ? { enabled: true, reason, by: admin._id, at: new Date() }
+                    : { enabled: false, by: admin._id, at: new Date() }
+            }
+        },
+        { new: true }
+    ).select('-password');
+
+    if (user) {
+        console.log(`🛡️ SOS whitelist ${enabled ? 'enabled' : 'disabled'} for ${user.username} by ${admin.username}`);
+    }
+
+    return user;
+}
+
+module.exports = {
+    assessTrigger,
+    mergeRetrigger,
+    getFalseAlarmScore,
+    getAbuseProfile,
+    setWhitelist
+};
@@ -0,0 +1,160 @@
+// ===================================================================
+// SOS ACKNOWLEDGEMENT SERVICE - Contacts Confirming They Saw an Alert
+// ===================================================================
+// Contacts acknowledge by replying to the SMS (e.g. "OK") or by opening
+// a signed one-time link. Either way escalation stops and the tourist
+// is told that someone has seen the alert.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SOSLog = require('../models/SOSLog');
+const notifications = require('./notifications');
+const incidentEvents = require('./incidentEvents');
+const messageTemplates = require('./messageTemplates');
+
+const ACK_LINK_TTL_MS = (parseFloat(process.env.SOS_ACK_LINK_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const ACK_REPLY_PATTERN = /^\s*(ok|okay|yes|ack|seen|received|got it|coming|on my way)\b/i;
+
+function getBaseUrl() {
+    return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+}
+
+function signDeliveryId(deliveryId) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET)
+        .update(`sos-ack:${deliveryId}`)
+        .digest('base64url')
+        .slice(0, 22);
+}
+
+// Compact signed token for one delivery, short enough to fit in an SMS
+function createAckToken(deliveryId) {
+    return `${deliveryId}.${signDeliveryId(deliveryId)}`;
+}
+
+// Returns the delivery ID for a valid, unexpired token, otherwise null.
+// Expiry is measured from the delivery's creation (its ObjectId timestamp).
+function verifyAckToken(token) {
+    const [deliveryId, signature] = (token || '').split('.');
+    if (!mongoose.isValidObjectId(deliveryId) || !signature) return null;
+
+    const expected = Buffer.from(signDeliveryId(deliveryId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    const createdAt = new mongoose.Types.ObjectId(deliveryId).getTimestamp();
+    if (Date.now() - createdAt.getTime() > ACK_LINK_TTL_MS) return null;
+
+    return deliveryId;
+}
+
+function buildAckLink(deliveryId) {
+    return `${getBaseUrl()}/ack/${createAckToken(deliveryId)}`;
+}
+
+function isAckReply(text) {
+    return ACK_REPLY_PATTERN.test(text || '');
+}
+
+// Record an acknowledgement for a delivery exactly once.
+// Resolves with { sosLog, delivery } or { error } ('closed', 'used', 'not-found').
+async function recordAcknowledgement(alertId, deliveryId, { channel, message }) {
+    const now = new Date();
+
+    const sosLog = await SOSLog.findOne({ _id: alertId, 'deliveries._id': deliveryId }).select('-locationTrail');
+    if (!sosLog) return { error: 'not-found' };
+
+    const delivery = sosLog.deliveries.id(deliveryId);
+    if (delivery.acknowledgedAt) return { error: 'used', sosLog, delivery };
+    if (!sosLog.isOpen) return { error: 'closed', sosLog, delivery };
+
+    const acknowledgement = {
+        name: delivery.name,
+        recipient: delivery.recipient,
+        role: delivery.role === 'responder' ? 'responder' : 'contact',
+        channel,
+        message,
+        acknowledgedAt: now
+    };
+
+    const updated = await SOSLog.findOneAndUpdate({
+        _id: alertId,
+        status: { $in: SOSLog.OPEN_STATUSES },
+        deliveries: { $elemMatch: { _id: deliveryId, acknowledgedAt: null } }
+    }, {
+        $set: {
+            'deliveries.$.acknowledgedAt': now,
+            'escalation.nextEscalationAt': null
+        },
+        $push: { acknowledgements: acknowledgement }
+    }, { new: true, projection: { locationTrail: 0 } });
+
+    // Lost a race with a parallel acknowledgement of the same delivery
+    if (!updated) return { error: 'used', sosLog, delivery };
+
+    console.log(`🙋 Alert ${alertId} acknowledged by ${delivery.name || delivery.recipient} via ${channel}`);
+    incidentEvents.publish(alertId, 'acknowledgement', acknowledgement);
+
+    await SOSLog.addTimelineEntry(alertId, {
+        type: 'acknowledgement',
+        message: `${delivery.name || delivery.recipient} acknowledged the alert by ${channel === 'sms' ? 'SMS reply' : 'link'}${message ? `: "${message}"` : ''}`,
+        author: { kind: acknowledgement.role, id: delivery.responderId, name: delivery.name || delivery.recipient },
+        data: { deliveryId, channel },
+        at: now
+    });
+
+    // Reassure the tourist that someone has seen the alert (never after a duress cancel)
+    if (!updated.isDuress && updated.userInfo && updated.userInfo.phoneNumber) {
+        // The tourist's own alert copy records the language they read messages in
+        const userDelivery = updated.deliveries.find(item => item.role === 'user');
+        const locale = { language: userDelivery && userDelivery.language };
+
+        notifications.sendTemplate({
+            channel: 'sms',
+            to: updated.userInfo.phoneNumber,
+            template: 'sos.acknowledged',
+            params: { name: delivery.name || messageTemplates.render('sos.acknowledged.defaultName', {}, locale) },
+            locale,
+            meta: { alertId, type: 'acknowledgement', drill: updated.isDrill }
+        }).catch(error => console.error('Acknowledgement notice failed:', error.message));
+    }
+
+    return { sosLog: updated, delivery: updated.deliveries.id(deliveryId) };
+}
+
+// Acknowledge via the one-time link token
+async function acknowledgeByToken(token) {
+    const deliveryId = verifyAckToken(token);
+    if (!deliveryId) return { error: 'invalid' };
+
+    const sosLog = await SOSLog.findOne({ 'deliveries._id': deliveryId }).select('_id');
+    if (!sosLog) return { error: 'not-found' };
+
+    return recordAcknowledgement(sosLog._id, deliveryId, { channel: 'link' });
+}
+
+// Acknowledge via an SMS reply; matches the sender to the latest open alert they were sent
+async function acknowledgeBySms(from, text) {
+    if (!isAckReply(text)) return null;
+
+    const recipient = notifications.formatPhoneNumber(from);
+    const sosLog = await SOSLog.findOne({
+        status: { $in: SOSLog.OPEN_STATUSES },
+        isDrill: { $ne: true },
+        deliveries: { $elemMatch: { recipient, role: { $in: ['contact', 'responder'] } } }
+    }).sort({ timestamp: -1 }).select('deliveries');
+
+    if (!sosLog) return null;
+
+    const delivery = sosLog.deliveries.find(item =>
+        item.recipient === recipient && ['contact', 'responder'].includes(item.role)
+    );
+
+    return recordAcknowledgement(sosLog._id, delivery._id, { channel: 'sms', message: text.trim().slice(0, 160) });
+}
+
+module.exports = {
+    buildAckLink,
+    isAckReply,
+    acknowledgeByToken,
+    acknowledgeBySms
+};
@@ -0,0 +1,510 @@
+// ===================================================================
+// SOS ALERT SERVICE - Emergency Alert Fan-out & Escalation
+// ===================================================================
+// Decides who is told about an SOS, in which order, and what they
+// receive; delivery, tracking and retries are handled by the SOS
+// delivery service.
+//
+// Escalation tiers come from SOS_ESCALATION_TIERS: tiers are separated
+// by commas and audiences within a tier by "+", e.g.
+//   "primary,secondary,responders"   (default)
+//   "primary+responders,secondary"
+// Each tier is notified SOS_ESCALATION_MINUTES after the previous one
+// unless someone acknowledges the alert first.
+
+const Contact = require('../models/Contact');
+const SOSLog = require('../models/SOSLog');
+const User = require('../models/User');
+const { queueDeliveries } = require('./sosDelivery');
+const responderRouting = require('./responderRouting');
+const { issueTrackingToken, getActiveTrackingUrl } = require('./sosTracking');
+const incidentEvents = require('./incidentEvents');
+const messageTemplates = require('./messageTemplates');
+const sosAbuse = require('./sosAbuse');
+
+const AUDIENCES = ['primary', 'secondary', 'responders'];
+
+// Alerts raised over a rate limit skip the tourist's contacts and go
+// straight to responders, who can judge a repeat caller
+const THROTTLED_TIERS = [['responders']];
+const ESCALATION_INTERVAL_MS = (parseFloat(process.env.SOS_ESCALATION_MINUTES) || 5) * 60 * 1000;
+
+// Extra context for alerts the tourist did not raise from the app
+const SOURCE_TEMPLATES = {
+    sms: 'sos.alert.source.sms',
+    checkin: 'sos.alert.source.checkin',
+    device: 'sos.alert.source.device'
+};
+
+// Timeline text for how an alert was raised
+const CREATED_MESSAGES = {
+    app: 'SOS raised from the app',
+    sms: 'SOS raised by SMS keyword',
+    checkin: 'SOS raised automatically after a missed check-in',
+    device: 'SOS raised from a paired device'
+};
+
+// Parse the configured escalation tiers, ignoring unknown audiences
+function getEscalationPolicy() {
+    const spec = process.env.SOS_ESCALATION_TIERS || 'primary,secondary,responders';
+
+    const tiers = spec.split(',')
+        .map(tier => tier.split('+').map(audience => audience.trim()).filter(audience => AUDIENCES.includes(audience)))
+        .filter(tier => tier.length > 0);
+
+    return tiers.length > 0 ? tiers : [AUDIENCES];
+}
+
+// Build the emergency SMS body for an incident in the recipient's locale
+function buildAlertMessage(sosLog, locale) {
+    const location = sosLog.location;
+    const trackingUrl = getActiveTrackingUrl(sosLog);
+    const lines = [messageTemplates.render('sos.alert.title', {}, locale)];
+
+    if (sosLog.isDrill) {
+        lines.unshift(messageTemplates.render('sos.alert.drill', {}, locale));
+    }
+
+    if (sosLog.isDuress) {
+        lines.push(messageTemplates.render('sos.alert.duress', {}, locale));
+    }
+    if (SOURCE_TEMPLATES[sosLog.source]) {
+        lines.push(messageTemplates.render(SOURCE_TEMPLATES[sosLog.source], {}, locale));
+    }
+
+    // Alerts not raised from the app carry the last position the app reported
+    if (location && location.latitude != null) {
+        const key = sosLog.source && sosLog.source !== 'app' ? 'sos.alert.lastKnownLocation' : 'sos.alert.location';
+        lines.push(messageTemplates.render(key, { url: `https://maps.google.com/maps?q=${location.latitude},${location.longitude}` }, locale));
+    } else {
+        lines.push(messageTemplates.render('sos.alert.noLocation', {}, locale));
+    }
+
+    if (sosLog.locationDescription) {
+        lines.push(messageTemplates.render('sos.alert.description', { text: sosLog.locationDescription }, locale));
+    }
+    if (trackingUrl) {
+        lines.push(messageTemplates.render('sos.alert.tracking', { url: trackingUrl }, locale));
+    }
+
+    lines.push(messageTemplates.render('sos.alert.time', { time: sosLog.timestamp || new Date() }, locale));
+    lines.push(messageTemplates.render('sos.alert.callBack', {}, locale));
+
+    return lines.join('\n');
+}
+
+// Split the user's emergency contacts into primary and secondary groups.
+// The profile emergencyContact counts as primary; if nobody is marked
+// primary, every contact is treated as primary so someone is told first.
+async function getContactGroups(user) {
+    const contacts = await Contact.find({ userId: user._id, isActive: true }).sort({ createdAt: 1 });
+
+    const toEntry = contact => ({
+        name: contact.name,
+        phone: contact.phoneNumber,
+        email: contact.email,
+        relationship: contact.relationship,
+        language: contact.language,
+        timeZone: contact.timeZone
+    });
+
+    let primary = contacts.filter(contact => contact.isPrimary).map(toEntry);
+    let secondary = contacts.filter(contact => !contact.isPrimary).map(toEntry);
+
+    if (user.emergencyContact && user.emergencyContact.phone) {
+        primary.unshift({
+            name: user.emergencyContact.name,
+            phone: user.emergencyContact.phone,
+            relationship: user.emergencyContact.relationship,
+            language: user.emergencyContact.language,
+            timeZone: user.emergencyContact.timeZone
+        });
+    }
+
+    if (primary.length === 0) {
+        primary = secondary;
+        secondary = [];
+    }
+
+    return { primary, secondary };
+}
+
+// Recipients for one audience of an escalation tier, each with the alert
+// rendered in their own locale (contacts fall back to the tourist's)
+async function getAudienceRecipients(audience, user, sosLog) {
+    if (audience === 'responders') {
+        const responders = await responderRouting.findRespondersForAlert({
+            alertType: sosLog.alertType,
+            location: sosLog.location
+        });
+
+        if (responders.length === 0) {
+            console.log(`⚠️ No responders cover alert ${sosLog._id} (${sosLog.alertType})`);
+        }
+        const locale = messageTemplates.resolveLocale();
+        return responderRouting.toRecipients(responders, buildAlertMessage(sosLog, locale))
+            .map(recipient => ({ ...recipient, language: locale.language }));
+    }
+
+    const groups = await getContactGroups(user);
+    return groups[audience].map(contact => {
+        const locale = messageTemplates.resolveLocale(contact, user);
+        return {
+            recipient: contact.phone,
+            name: contact.name,
+            role: 'contact',
+            language: locale.language,
+            body: buildAlertMessage(sosLog, locale)
+        };
+    });
+}
+
+// Notify every audience in a tier and record it in the escalation history
+async function notifyTier(user, sosLog, tierIndex) {
+    const audiences = sosLog.escalation.tiers[tierIndex] || [];
+    const recipients = [];
+
+    for (const audience of audiences) {
+        const audienceRecipients = await getAudienceRecipients(audience, user, sosLog);
+        recipients.push(...audienceRecipients.map(recipient => ({ ...recipient, ackLink: true })));
+    }
+
+    const deliveries = await queueDeliveries(sosLog, recipients);
+
+    const notifiedAt = new Date();
+    const names = deliveries.map(delivery => delivery.name || delivery.recipient);
+
+    await SOSLog.updateOne({ _id: sosLog._id }, {
+        $push: {
+            'escalation.history': {
+                tier: tierIndex,
+                audiences,
+                recipientCount: deliveries.length,
+                notifiedAt
+            }
+        }
+    });
+
+    await SOSLog.addTimelineEntry(sosLog._id, {
+        type: 'notified',
+        message: deliveries.length > 0
+            ? `Tier ${tierIndex + 1} (${audiences.join(', ')}) notified: ${names.join(', ')}`
+            : `Tier ${tierIndex + 1} (${audiences.join(', ')}) had nobody new to notify`,
+        data: { tier: tierIndex, audiences, deliveryIds: deliveries.map(delivery => delivery._id) },
+        at: notifiedAt
+    });
+
+    console.log(`📣 Alert ${sosLog._id} tier ${tierIndex + 1}/${sosLog.escalation.tiers.length} (${audiences.join(', ')}): ${deliveries.length} messages`);
+    return deliveries;
+}
+
+// Function to send SOS alerts: confirms to the user, notifies the first
+// escalation tier and schedules the next one
+async function sendSOSAlerts(user, sosLog) {
+    try {
+        const tiers = sosLog.abuse && sosLog.abuse.throttled ? THROTTLED_TIERS : getEscalationPolicy();
+        const groups = await getContactGroups(user);
+
+        sosLog.emergencyContacts = groups.primary.concat(groups.secondary).map(contact => ({
+            name: contact.name,
+            phone: contact.phone,
+            relationship: contact.relationship
+        }));
+        sosLog.escalation = {
+            tiers,
+            currentTier: 0,
+            nextEscalationAt: tiers.length > 1 ? new Date(Date.now() + ESCALATION_INTERVAL_MS) : null,
+            history: []
+        };
+        issueTrackingToken(sosLog);
+        await sosLog.save();
+
+        // Send confirmation to user
+        if (user.phoneNumber) {
+            const locale = messageTemplates.resolveLocale(user);
+            await queueDeliveries(sosLog, [{
+                recipient: user.phoneNumber,
+                name: user.fullName,
+                role: 'user',
+                language: locale.language,
+                body: buildAlertMessage(sosLog, locale)
+            }]);
+        } else {
+            console.log('⚠️ No user phone number found');
+        }
+
+        return await notifyTier(user, sosLog, 0);
+    } catch (error) {
+        console.error('❌ SMS Alert system error:', error);
+        return [];
+    }
+}
+
+// Create an SOS for a user and run the normal alert fan-out.
+// Used by the app trigger and by alerts raised on the user's behalf.
+async function createSOSAlert(user, { location, locationDescription, timestamp, alertType, source, checkInId, clientAlertId, deviceTimestamp, device, abuse, drill } = {}) {
+    const alertSource = source || 'app';
+    const hasCoordinates = !!(location && location.latitude != null && location.longitude != null);
+    const raisedAt = timestamp || new Date();
+
+    const sosLog = new SOSLog({
+        userId: user._id,
+        userInfo: {
+            fullName: user.fullName,
+            email: user.email,
+            phoneNumber: user.phoneNumber,
+            touristType: user.touristType,
+            username: user.username
+        },
+        location: location || null,
+        locationDescription,
+        locationTrail: hasCoordinates
+            ? [{ latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy, recordedAt: raisedAt }]
+            : [],
+        timestamp: raisedAt,
+        status: 'active',
+        alertType: alertType || 'emergency',
+        source: alertSource,
+        checkInId,
+        deviceId: device ? device._id : undefined,
+        clientAlertId,
+        deviceTimestamp,
+        abuse,
+        isDrill: !!drill,
+        drill
+    });
+
+    // Alerts queued offline can reach us long after they were raised
+    const delayMinutes = Math.round((Date.now() - raisedAt.getTime()) / 60000);
+    let createdMessage = device
+        ? `${CREATED_MESSAGES.device} "${device.name}"`
+        : CREATED_MESSAGES[alertSource] || CREATED_MESSAGES.app;
+    if (drill) {
+        createdMessage = drill.startedBy && drill.startedBy.kind === 'admin'
+            ? `DRILL injected by ${drill.startedBy.name}${drill.scenario ? `: ${drill.scenario}` : ''}`
+            : `DRILL - ${createdMessage}`;
+    }
+
+    let author = { kind: 'user', id: user._id, name: user.username };
+    if (alertSource === 'checkin') author = { kind: 'system' };
+    if (device) author = { kind: 'device', id: device._id, name: device.name };
+    if (drill && drill.startedBy && drill.startedBy.kind === 'admin') author = drill.startedBy;
+
+    sosLog.addTimelineEntry({
+        type: 'created',
+        message: delayMinutes >= 2 ? `${createdMessage} (received ${delayMinutes} min late)` : createdMessage,
+        author,
+        data: { alertType: sosLog.alertType, source: alertSource, location: sosLog.location, clientAlertId },
+        at: sosLog.timestamp
+    });
+
+    if (abuse && abuse.throttled) {
+        sosLog.addTimelineEntry({
+            type: 'throttled',
+            message: `Raised over the SOS limit (${abuse.throttleReason}) - contacts not messaged, sent to responders only`,
+            data: { reason: abuse.throttleReason, score: abuse.score }
+        });
+    }
+
+    await sosLog.save();
+
+    // Alerts raised on the user's behalf reuse an old fix; don't re-stamp it as fresh.
+    // Drills injected by an admin carry a made-up position.
+    const injected = !!(drill && drill.startedBy && drill.startedBy.kind === 'admin');
+    if (hasCoordinates && alertSource === 'app' && !injected) {
+        await User.recordLocation(user._id, { ...location, recordedAt: sosLog.timestamp });
+    }
+
+    // Notify the first escalation tier; later tiers and retries run in the background
+    await sendSOSAlerts(user, sosLog);
+
+    return sosLog;
+}
+
+// Idempotent, abuse-checked createSOSAlert for client-submitted alerts.
+// A clientAlertId already seen for this user returns the existing alert,
+// and a re-trigger during the cooldown is merged into the open alert;
+// neither notifies anyone again. An alert over a rate limit is still
+// created but only reaches responders; it resolves with
+// { sosLog, created, merged, throttled: { reason, retryAfterSeconds }? }
+// (see services/sosAbuse.js).
+async function createOrFindSOSAlert(user, options) {
+    const { clientAlertId } = options;
+
+    if (clientAlertId) {
+        const existing = await SOSLog.findOne({ userId: user._id, clientAlertId }).select('-locationTrail');
+        if (existing) return { sosLog: existing, created: false };
+    }
+
+    const assessment = await sosAbuse.assessTrigger(user, { device: options.device, isDrill: !!options.drill });
+
+    if (assessment.action === 'merge') {
+        await sosAbuse.mergeRetrigger(assessment.sosLog, { location: options.location, device: options.device });
+        return { sosLog: assessment.sosLog, created: false, merged: true };
+    }
+
+    const throttled = assessment.action === 'throttle'
+        ? { reason: assessment.reason, retryAfterSeconds: assessment.retryAfterSeconds }
+        : undefined;
+
+    try {
+        const sosLog = await createSOSAlert(user, { ...options, abuse: assessment.abuse });
+        return { sosLog, created: true, throttled };
+    } catch (error) {
+        // A concurrent retry saved the same clientAlertId first; it sends the notifications
+        if (error.code === 11000 && clientAlertId) {
+            const existing = await SOSLog.findOne({ userId: user._id, clientAlertId }).select('-locationTrail');
+            if (existing) return { sosLog: existing, created: false };
+        }
+        throw error;
+    }
+}
+
+// Jump straight to the tier that includes responders (or the next tier)
+async function escalateNow(sosLogId) {
+    const sosLog = await SOSLog.findById(sosLogId).select('-locationTrail');
+    if (!sosLog || !sosLog.escalation || !sosLog.escalation.tiers.length) return null;
+
+    const { tiers, currentTier } = sosLog.escalation;
+    const responderTier = tiers.findIndex(tier => tier.includes('responders'));
+    const targetTier = responderTier > currentTier ? responderTier : currentTier + 1;
+
+    if (targetTier >= tiers.length) return null;
+    return advanceTier(sosLog, targetTier);
+}
+
+// Send the duress-flagged alert to every responder routed to the incident,
+// even those already messaged, whatever tier escalation has reached
+async function alertRespondersOfDuress(sosLogId) {
+    const sosLog = await SOSLog.findById(sosLogId).select('-locationTrail +tracking.token');
+    if (!sosLog) return [];
+
+    const recipients = await getAudienceRecipients('responders', null, sosLog);
+    const deliveries = await queueDeliveries(
+        sosLog,
+        recipients.map(recipient => ({ ...recipient, ackLink: true })),
+        { repeat: true }
+    );
+
+    await SOSLog.addTimelineEntry(sosLog._id, {
+        type: 'notified',
+        message: deliveries.length > 0
+            ? `Duress alert sent to responders: ${deliveries.map(delivery => delivery.name || delivery.recipient).join(', ')}`
+            : 'Duress alert could not be sent: no responders cover this incident',
+        data: { audiences: ['responders'], duress: true, deliveryIds: deliveries.map(delivery => delivery._id) }
+    });
+
+    console.log(`🚨 Duress alert ${sosLog._id} sent to ${deliveries.length} responders`);
+    return deliveries;
+}
+
+// Flag a cancel made with the duress PIN: stop messages to the tourist's
+// phone and record it. Quick, so the tourist's cancel responds as fast
+// as a real one; resolves with the incident, or null if already handled.
+async function markDuress(sosLogId) {
+    const sosLog = await SOSLog.findOneAndUpdate(
+        { _id: sosLogId, status: { $in: SOSLog.OPEN_STATUSES }, 'duress.triggeredAt': null },
+        { $set: { 'duress.triggeredAt': new Date() } },
+        { new: true }
+    ).select('-locationTrail');
+
+    if (!sosLog) return null;
+
+    await SOSLog.updateOne(
+        { _id: sosLog._id },
+        { $set: { 'deliveries.$[userDelivery].nextAttemptAt': null } },
+        { arrayFilters: [{ 'userDelivery.role': 'user' }] }
+    );
+
+    await SOSLog.addTimelineEntry(sosLog._id, {
+        type: 'duress',
+        message: 'Traveller cancelled with the DURESS PIN - alert shown to them as cancelled, alerting responders',
+        author: { kind: 'user', id: sosLog.userId, name: sosLog.userInfo.username },
+        at: sosLog.duress.triggeredAt
+    });
+
+    console.log(`🚨 DURESS cancel on alert ${sosLog._id} - alerting responders`);
+    incidentEvents.publish(sosLog._id, 'duress', { triggeredAt: sosLog.duress.triggeredAt });
+
+    return sosLog;
+}
+
+// Silently alert responders about a duress-flagged incident
+async function escalateDuress(sosLog) {
+    // Jump to the responder tier when it is still ahead; that tier's
+    // messages already carry the duress flag
+    const { tiers = [], currentTier = 0 } = sosLog.escalation || {};
+    const responderTier = tiers.findIndex(tier => tier.includes('responders'));
+    const escalated = await escalateNow(sosLog._id);
+
+    if (escalated && responderTier > currentTier) {
+        return escalated;
+    }
+
+    const duressDeliveries = await alertRespondersOfDuress(sosLog._id);
+    return (escalated || []).concat(duressDeliveries);
+}
+
+// Handle a cancel made with the duress PIN: flag the incident, then
+// alert responders silently
+async function triggerDuress(sosLogId) {
+    const sosLog = await markDuress(sosLogId);
+    if (!sosLog) return null;
+
+    return escalateDuress(sosLog);
+}
+
+// Atomically move an incident to targetTier and notify it
+async function advanceTier(sosLog, targetTier) {
+    const { tiers, currentTier } = sosLog.escalation;
+
+    const claimed = await SOSLog.findOneAndUpdate({
+        _id: sosLog._id,
+        'escalation.currentTier': currentTier
+    }, {
+        $set: {
+            'escalation.currentTier': targetTier,
+            'escalation.nextEscalationAt': targetTier < tiers.length - 1
+                ? new Date(Date.now() + ESCALATION_INTERVAL_MS)
+                : null
+        }
+    }, { new: true }).select('+tracking.token');
+
+    // Another worker escalated this incident first
+    if (!claimed) return null;
+
+    const user = await User.findById(claimed.userId);
+    if (!user) return null;
+
+    return notifyTier(user, claimed, targetTier);
+}
+
+// Scheduler job: escalate unacknowledged alerts whose tier timer expired
+async function processDueEscalations() {
+    const sosLogs = await SOSLog.find({
+        status: 'active',
+        'escalation.nextEscalationAt': { $lte: new Date() }
+    }).select('-locationTrail');
+
+    for (const sosLog of sosLogs) {
+        if (sosLog.isAcknowledged()) {
+            await SOSLog.updateOne({ _id: sosLog._id }, { $set: { 'escalation.nextEscalationAt': null } });
+            continue;
+        }
+
+        await advanceTier(sosLog, sosLog.escalation.currentTier + 1);
+    }
+}
+
+module.exports = {
+    createSOSAlert,
+    createOrFindSOSAlert,
+    sendSOSAlerts,
+    buildAlertMessage,
+    getEscalationPolicy,
+    escalateNow,
+    markDuress,
+    escalateDuress,
+    triggerDuress,
+    processDueEscalations
+};
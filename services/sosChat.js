@@ -0,0 +1,200 @@
+// ===================================================================
+// SOS CHAT SERVICE - Tourist <-> Responder Messaging
+// ===================================================================
+// A text thread per incident, pushed live over the incident event bus.
+// Responder messages the tourist hasn't read in the app within
+// SOS_CHAT_RELAY_SECONDS are relayed by SMS; SMS replies come back
+// into the thread through the inbound SMS webhook.
+
+const SOSLog = require('../models/SOSLog');
+const SOSMessage = require('../models/SOSMessage');
+const User = require('../models/User');
+const notifications = require('./notifications');
+const incidentEvents = require('./incidentEvents');
+const messageTemplates = require('./messageTemplates');
+const { findUserByPhone } = require('./sosKeywords');
+
+const RELAY_DELAY_MS = (parseFloat(process.env.SOS_CHAT_RELAY_SECONDS) || 60) * 1000;
+
+// How far back an SMS relay counts as an ongoing SMS conversation
+const SMS_REPLY_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// Chat is only available while the incident is open and the tourist
+// has not cancelled under duress (their phone may not be in their hands)
+function isChatOpen(sosLog) {
+    return sosLog.isOpen && !sosLog.isDuress;
+}
+
+// Build the sender/reader record for an admin or responder
+function operatorParticipant(admin) {
+    return {
+        kind: admin.role === 'responder' ? 'responder' : 'admin',
+        id: admin._id,
+        name: admin.fullName || admin.username
+    };
+}
+
+// Build the sender/reader record for the tourist
+function userParticipant(sosLog) {
+    return {
+        kind: 'user',
+        id: sosLog.userId,
+        name: sosLog.userInfo.fullName
+    };
+}
+
+// Post a message to the incident thread and push it to live viewers.
+// Operator messages go out by SMS straight away when the tourist raised
+// the alert by SMS, otherwise only if they stay unread in the app.
+async function postMessage(sosLog, sender, body, { channel = 'app' } = {}) {
+    const message = new SOSMessage({
+        sosLogId: sosLog._id,
+        sender,
+        body,
+        channel
+    });
+
+    if (sender.kind !== 'user' && sosLog.userInfo.phoneNumber) {
+        message.relay = {
+            status: 'pending',
+            dueAt: new Date(Date.now() + (sosLog.source === 'sms' ? 0 : RELAY_DELAY_MS))
+        };
+    }
+
+    await message.save();
+
+    incidentEvents.publish(sosLog._id, 'chat-message', message.toObject());
+    return message;
+}
+
+// Mark messages from the other side as read by reader; returns how many changed
+async function markRead(sosLogId, reader) {
+    const now = new Date();
+    const fromOtherSide = reader.kind === 'user'
+        ? { 'sender.kind': { $ne: 'user' } }
+        : { 'sender.kind': 'user' };
+
+    const result = await SOSMessage.updateMany(
+        { sosLogId, readAt: null, ...fromOtherSide },
+        { $set: { readAt: now, readBy: reader } }
+    );
+
+    if (result.modifiedCount > 0) {
+        // A message read in the app no longer needs its SMS copy
+        if (reader.kind === 'user') {
+            await SOSMessage.updateMany(
+                { sosLogId, readAt: now, 'relay.status': 'pending' },
+                { $set: { 'relay.status': 'none', 'relay.dueAt': null } }
+            );
+        }
+
+        incidentEvents.publish(sosLogId, 'chat-read', { reader: reader.kind === 'user' ? 'user' : 'operator', name: reader.name, readAt: now });
+    }
+
+    return result.modifiedCount;
+}
+
+// Send one due relay, claiming it first so it is never sent twice
+async function relayMessage(messageId) {
+    const message = await SOSMessage.findOneAndUpdate(
+        { _id: messageId, 'relay.status': 'pending', readAt: null },
+        { $set: { 'relay.status': 'sending' } },
+        { new: true }
+    );
+    if (!message) return null;
+
+    const sosLog = await SOSLog.findById(message.sosLogId).select('-locationTrail');
+
+    // Never text a phone that may be held by someone else, or about a closed alert
+    if (!sosLog || !isChatOpen(sosLog)) {
+        await SOSMessage.updateOne({ _id: message._id }, { $set: { 'relay.status': 'none', 'relay.dueAt': null } });
+        return null;
+    }
+
+    try {
+        const user = await User.findById(sosLog.userId).select('language timeZone');
+
+        const result = await notifications.sendTemplate({
+            channel: 'sms',
+            to: sosLog.userInfo.phoneNumber,
+            template: 'sos.chat.relay',
+            params: {
+                name: message.sender.name || messageTemplates.render('sos.chat.defaultName', {}, user),
+                message: message.body
+            },
+            locale: user,
+            meta: { alertId: sosLog._id, messageId: message._id, type: 'chat-relay', drill: sosLog.isDrill }
+        });
+
+        await SOSMessage.updateOne({ _id: message._id }, {
+            $set: {
+                'relay.status': 'sent',
+                'relay.sentAt': new Date(),
+                'relay.providerMessageId': result.providerMessageId
+            }
+        });
+
+        console.log(`💬 Chat message ${message._id} relayed by SMS for alert ${sosLog._id}`);
+        return 'sent';
+    } catch (error) {
+        await SOSMessage.updateOne({ _id: message._id }, {
+            $set: { 'relay.status': 'failed', 'relay.lastError': error.message }
+        });
+
+        console.error(`⚠️ Chat relay for message ${message._id} failed:`, error.message);
+        return 'failed';
+    }
+}
+
+// Scheduler job: relay responder messages still unread in the app
+async function processDueRelays() {
+    const due = await SOSMessage.find({
+        'relay.status': 'pending',
+        'relay.dueAt': { $lte: new Date() },
+        readAt: null
+    }).select('_id');
+
+    for (const message of due) {
+        await relayMessage(message._id);
+    }
+}
+
+// Inbound SMS handler: a tourist replying to a relayed chat message.
+// Resolves with '' (handled, no SMS reply) or null when not a chat reply.
+async function handleChatReplySMS(from, text) {
+    if (!text || !text.trim()) return null;
+
+    const user = await findUserByPhone(from);
+    if (!user) return null;
+
+    const sosLog = await SOSLog.findOne({
+        userId: user._id,
+        status: { $in: SOSLog.OPEN_STATUSES },
+        'duress.triggeredAt': null,
+        isDrill: { $ne: true }
+    }).sort({ timestamp: -1 }).select('-locationTrail');
+    if (!sosLog) return null;
+
+    const relayed = await SOSMessage.exists({
+        sosLogId: sosLog._id,
+        'relay.status': 'sent',
+        'relay.sentAt': { $gte: new Date(Date.now() - SMS_REPLY_WINDOW_MS) }
+    });
+    if (!relayed) return null;
+
+    await postMessage(sosLog, userParticipant(sosLog), text.trim().slice(0, 1000), { channel: 'sms' });
+    await markRead(sosLog._id, userParticipant(sosLog));
+
+    console.log(`💬 SMS chat reply from ${user.username} on alert ${sosLog._id}`);
+    return '';
+}
+
+module.exports = {
+    isChatOpen,
+    operatorParticipant,
+    userParticipant,
+    postMessage,
+    markRead,
+    processDueRelays,
+    handleChatReplySMS
+};
@@ -0,0 +1,229 @@
+// ===================================================================
+// SOS DELIVERY SERVICE - Tracked, Retried Alert Messages
+// ===================================================================
+// Every outgoing alert message is a delivery record on its SOSLog.
+// Failed sends, and sends without a delivery receipt, are retried with
+// exponential backoff until confirmed or SOS_MAX_DELIVERY_ATTEMPTS is hit.
+
+const mongoose = require('mongoose');
+const SOSLog = require('../models/SOSLog');
+const notifications = require('./notifications');
+const { buildAckLink } = require('./sosAcknowledgements');
+const messageTemplates = require('./messageTemplates');
+
+const MAX_ATTEMPTS = parseInt(process.env.SOS_MAX_DELIVERY_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.SOS_RETRY_BASE_MS) || 30 * 1000;
+const RECEIPT_TIMEOUT_MS = parseInt(process.env.SOS_RECEIPT_TIMEOUT_MS) || 2 * 60 * 1000;
+
+// Deliveries the sweeper may pick up once nextAttemptAt has passed
+const RETRYABLE_STATUSES = ['pending', 'sending', 'sent'];
+
+// Backoff before the next attempt: base, 2x base, 4x base, ...
+function getBackoffDelay(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+// Prefix update fields for the positional operator on deliveries
+function deliveryUpdate(fields) {
+    const update = {};
+    Object.keys(fields).forEach(key => {
+        update[`deliveries.$.${key}`] = fields[key];
+    });
+    return update;
+}
+
+// Atomically claim a due delivery so it is never sent twice in parallel
+async function claimDelivery(sosLogId, deliveryId) {
+    const now = new Date();
+
+    const sosLog = await SOSLog.findOneAndUpdate({
+        _id: sosLogId,
+        status: { $in: SOSLog.OPEN_STATUSES },
+        deliveries: {
+            $elemMatch: {
+                _id: deliveryId,
+                status: { $in: RETRYABLE_STATUSES },
+                nextAttemptAt: { $lte: now }
+            }
+        }
+    }, {
+        $set: deliveryUpdate({
+            status: 'sending',
+            lastAttemptAt: now,
+            nextAttemptAt: new Date(now.getTime() + RECEIPT_TIMEOUT_MS)
+        }),
+        $inc: { 'deliveries.$.attempts': 1 }
+    }, { new: true }).select('deliveries isDrill');
+
+    return sosLog ? { delivery: sosLog.deliveries.id(deliveryId), isDrill: sosLog.isDrill } : null;
+}
+
+// Send one delivery and record the outcome
+async function attemptDelivery(sosLogId, deliveryId) {
+    const claimed = await claimDelivery(sosLogId, deliveryId);
+    if (!claimed) return null;
+
+    const { delivery, isDrill } = claimed;
+
+    const now = new Date();
+    const capReached = delivery.attempts >= MAX_ATTEMPTS;
+    let fields;
+
+    try {
+        const result = await notifications.send({
+            channel: delivery.channel,
+            to: delivery.recipient,
+            body: delivery.body,
+            meta: { alertId: sosLogId, deliveryId, role: delivery.role, drill: isDrill }
+        });
+
+        fields = {
+            transport: result.transport,
+            providerMessageId: result.providerMessageId,
+            lastError: null
+        };
+
+        if (result.status === 'delivered') {
+            Object.assign(fields, { status: 'delivered', deliveredAt: now, nextAttemptAt: null });
+        } else {
+            // Without a receipt on the way there is nothing to wait for
+            const waitForReceipt = result.awaitsReceipt && !capReached;
+            Object.assign(fields, {
+                status: 'sent',
+                nextAttemptAt: waitForReceipt ? new Date(now.getTime() + RECEIPT_TIMEOUT_MS) : null
+            });
+        }
+
+        console.log(`✅ SOS ${delivery.role} message to ${delivery.recipient} ${fields.status} (attempt ${delivery.attempts}/${MAX_ATTEMPTS})`);
+    } catch (error) {
+        fields = {
+            status: capReached ? 'failed' : 'pending',
+            lastError: error.message,
+            nextAttemptAt: capReached ? null : new Date(now.getTime() + getBackoffDelay(delivery.attempts))
+        };
+
+        console.log(`⚠️ SOS ${delivery.role} message to ${delivery.recipient} failed (attempt ${delivery.attempts}/${MAX_ATTEMPTS}):`, error.message);
+    }
+
+    await SOSLog.updateOne(
+        { _id: sosLogId, 'deliveries._id': deliveryId },
+        { $set: deliveryUpdate(fields) }
+    );
+
+    return fields.status;
+}
+
+// Add delivery records to an incident and make the first attempt for each.
+// recipients: [{ recipient, name, role, channel, body, language, ackLink }]
+// ackLink appends a one-time acknowledgement link unique to the delivery.
+async function queueDeliveries(sosLog, recipients, { repeat = false } = {}) {
+    const now = new Date();
+
+    // Never message the same recipient twice on one channel for an incident,
+    // unless this is a deliberate follow-up (repeat), e.g. a duress alert
+    const current = repeat ? null : await SOSLog.findById(sosLog._id).select('deliveries.channel deliveries.recipient');
+    const seen = new Set((current ? current.deliveries : []).map(delivery => `${delivery.channel}:${delivery.recipient}`));
+
+    const deliveries = recipients
+        .map(recipient => ({
+            ...recipient,
+            channel: recipient.channel || 'sms',
+            recipient: recipient.channel === 'email'
+                ? recipient.recipient
+                : notifications.formatPhoneNumber(recipient.recipient)
+        }))
+        .filter(recipient => {
+            const key = `${recipient.channel}:${recipient.recipient}`;
+            if (!recipient.recipient || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(({ ackLink, ...recipient }) => {
+            const _id = new mongoose.Types.ObjectId();
+            const body = ackLink
+                ? `${recipient.body}\n${messageTemplates.render('sos.alert.ackPrompt', { url: buildAckLink(_id) }, { language: recipient.language })}`
+                : recipient.body;
+
+            return { ...recipient, _id, body, status: 'pending', attempts: 0, nextAttemptAt: now };
+        });
+
+    if (deliveries.length === 0) return [];
+
+    const updated = await SOSLog.findByIdAndUpdate(
+        sosLog._id,
+        { $push: { deliveries: { $each: deliveries } } },
+        { new: true }
+    );
+
+    const queued = updated.deliveries.slice(-deliveries.length);
+    await Promise.all(queued.map(delivery => attemptDelivery(sosLog._id, delivery._id)));
+
+    return queued;
+}
+
+// Scheduler job: retry deliveries whose backoff or receipt wait has elapsed
+async function processDueDeliveries() {
+    const now = new Date();
+
+    const sosLogs = await SOSLog.find({
+        status: { $in: SOSLog.OPEN_STATUSES },
+        deliveries: {
+            $elemMatch: {
+                status: { $in: RETRYABLE_STATUSES },
+                nextAttemptAt: { $lte: now }
+            }
+        }
+    }).select('deliveries');
+
+    for (const sosLog of sosLogs) {
+        const due = sosLog.deliveries.filter(delivery =>
+            RETRYABLE_STATUSES.includes(delivery.status) &&
+            delivery.nextAttemptAt && delivery.nextAttemptAt <= now
+        );
+
+        for (const delivery of due) {
+            await attemptDelivery(sosLog._id, delivery._id);
+        }
+    }
+}
+
+// Apply a provider delivery receipt (e.g. Twilio status callback)
+async function recordDeliveryReceipt({ providerMessageId, status, errorMessage }) {
+    const sosLog = await SOSLog.findOne({ 'deliveries.providerMessageId': providerMessageId });
+    if (!sosLog) return null;
+
+    const delivery = sosLog.deliveries.find(item => item.providerMessageId === providerMessageId);
+    if (delivery.status === 'delivered') return delivery;
+
+    const now = new Date();
+    let fields = null;
+
+    if (status === 'delivered') {
+        fields = { status: 'delivered', deliveredAt: now, nextAttemptAt: null, lastError: null };
+    } else if (status === 'failed' || status === 'undelivered') {
+        const capReached = delivery.attempts >= MAX_ATTEMPTS;
+        fields = {
+            status: capReached ? 'failed' : 'pending',
+            lastError: errorMessage || `Provider reported ${status}`,
+            nextAttemptAt: capReached ? null : new Date(now.getTime() + getBackoffDelay(delivery.attempts))
+        };
+    }
+
+    if (!fields) return delivery;
+
+    await SOSLog.updateOne(
+        { _id: sosLog._id, 'deliveries._id': delivery._id },
+        { $set: deliveryUpdate(fields) }
+    );
+
+    console.log(`📬 Delivery receipt for ${delivery.recipient}: ${status}`);
+    return Object.assign(delivery, fields);
+}
+
+module.exports = {
+    queueDeliveries,
+    attemptDelivery,
+    processDueDeliveries,
+    recordDeliveryReceipt,
+    getBackoffDelay
+};
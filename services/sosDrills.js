@@ -0,0 +1,147 @@
+// ===================================================================
+// SOS DRILL SERVICE - Practice Incidents & Response Timing Reports
+// ===================================================================
+// Drills run through the real routing, escalation and acknowledgement
+// flow. Every message they produce is captured in the outbox (see
+// services/notifications), and they are left out of production stats.
+
+const SOSLog = require('../models/SOSLog');
+const OutboxMessage = require('../models/OutboxMessage');
+const { createSOSAlert } = require('./sosAlerts');
+
+// Filter that keeps drills out of production queries
+const PRODUCTION_FILTER = { isDrill: { $ne: true } };
+
+// Start a drill on behalf of a user, as if they had pressed SOS
+async function injectDrill(admin, user, { alertType, location, scenario } = {}) {
+    const sosLog = await createSOSAlert(user, {
+        location,
+        alertType,
+        source: 'app',
+        drill: {
+            startedBy: { kind: 'admin', id: admin._id, name: admin.username },
+            scenario
+        }
+    });
+
+    console.log(`🎯 Drill ${sosLog._id} injected for ${user.username} by ${admin.username}`);
+    return sosLog;
+}
+
+function secondsBetween(from, to) {
+    return from && to ? Math.round((to.getTime() - from.getTime()) / 1000) : null;
+}
+
+// Response milestones for one incident, and seconds from the alert to each
+function getResponseTimings(sosLog) {
+    const raisedAt = sosLog.timestamp;
+    const statusAt = status => {
+        const entry = (sosLog.timeline || []).find(item => item.type === 'status' && item.data && item.data.to === status);
+        return entry ? entry.at : null;
+    };
+
+    const history = (sosLog.escalation && sosLog.escalation.history) || [];
+    const firstNotifiedAt = history.length > 0 ? history[0].notifiedAt : null;
+
+    // Whoever acknowledged first: a contact/responder by link or SMS, or an operator
+    const ackTimes = (sosLog.acknowledgements || []).map(ack => ack.acknowledgedAt);
+    if (sosLog.acknowledgedAt) ackTimes.push(sosLog.acknowledgedAt);
+    if (sosLog.responseTime) ackTimes.push(sosLog.responseTime);
+    const firstAcknowledgedAt = ackTimes.length > 0 ? new Date(Math.min(...ackTimes.map(time => time.getTime()))) : null;
+
+    const enRouteAt = statusAt('en-route');
+    const resolvedAt = sosLog.status === 'resolved' ? sosLog.closedAt : null;
+
+    return {
+        raisedAt,
+        firstNotifiedAt,
+        firstAcknowledgedAt,
+        enRouteAt,
+        resolvedAt,
+        closedAt: sosLog.closedAt || null,
+        timeToNotify: secondsBetween(raisedAt, firstNotifiedAt),
+        timeToAcknowledge: secondsBetween(raisedAt, firstAcknowledgedAt),
+        timeToEnRoute: secondsBetween(raisedAt, enRouteAt),
+        timeToResolve: secondsBetween(raisedAt, resolvedAt)
+    };
+}
+
+// Report for one drill: timings, escalation and the messages it would have sent
+async function getDrillReport(sosLog) {
+    const sandboxMessages = await OutboxMessage.find({ 'meta.alertId': sosLog._id, 'meta.drill': true })
+        .sort({ createdAt: 1 })
+        .select('channel to body meta.role meta.type createdAt');
+
+    return {
+        alertId: sosLog._id,
+        user: { id: sosLog.userId, username: sosLog.userInfo.username, fullName: sosLog.userInfo.fullName },
+        alertType: sosLog.alertType,
+        status: sosLog.status,
+        drill: sosLog.drill,
+        timings: getResponseTimings(sosLog),
+        escalation: {
+            tiersNotified: ((sosLog.escalation && sosLog.escalation.history) || []).map(entry => ({
+                tier: entry.tier,
+                audiences: entry.audiences,
+                recipientCount: entry.recipientCount,
+                notifiedAt: entry.notifiedAt
+            }))
+        },
+        deliveries: sosLog.getDeliverySummary(),
+        acknowledgements: sosLog.acknowledgements,
+        sandboxMessages
+    };
+}
+
+function summarise(values) {
+    const present = values.filter(value => value != null).sort((a, b) => a - b);
+    if (present.length === 0) return { count: 0, average: null, median: null, max: null };
+
+    const middle = Math.floor(present.length / 2);
+    return {
+        count: present.length,
+        average: Math.round(present.reduce((sum, value) => sum + value, 0) / present.length),
+        median: present.length % 2 ? present[middle] : Math.round((present[middle - 1] + present[middle]) / 2),
+        max: present[present.length - 1]
+    };
+}
+
+// Timings for every drill in a period, with averages/medians across them
+async function getDrillSummary({ from, to } = {}) {
+    const filter = { isDrill: true };
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = from;
+        if (to) filter.timestamp.$lte = to;
+    }
+
+    const drills = await SOSLog.find(filter)
+        .select('-locationTrail -deliveries.body')
+        .sort({ timestamp: -1 })
+        .limit(200);
+
+    const rows = drills.map(sosLog => ({
+        alertId: sosLog._id,
+        username: sosLog.userInfo.username,
+        alertType: sosLog.alertType,
+        status: sosLog.status,
+        drill: sosLog.drill,
+        deliveries: sosLog.getDeliverySummary(),
+        timings: getResponseTimings(sosLog)
+    }));
+
+    const metrics = ['timeToNotify', 'timeToAcknowledge', 'timeToEnRoute', 'timeToResolve'];
+
+    return {
+        drills: rows,
+        summary: Object.fromEntries(metrics.map(metric => [metric, summarise(rows.map(row => row.timings[metric]))]))
+    };
+}
+
+module.exports = {
+    PRODUCTION_FILTER,
+    injectDrill,
+    getResponseTimings,
+    getDrillReport,
+    getDrillSummary
+};
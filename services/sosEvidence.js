@@ -0,0 +1,165 @@
+// ===================================================================
+// SOS EVIDENCE SERVICE - Incident Attachments
+// ===================================================================
+// Stores photo/audio evidence against an incident within per-incident
+// quotas and serves it only to the tourist, admins and the responder
+// assigned to the incident.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SOSLog = require('../models/SOSLog');
+const SOSAttachment = require('../models/SOSAttachment');
+const incidentEvents = require('./incidentEvents');
+const { evidenceDir, getEvidenceKind } = require('../middleware/evidenceUpload');
+
+const MAX_FILES_PER_INCIDENT = parseInt(process.env.EVIDENCE_MAX_FILES_PER_INCIDENT) || 10;
+const MAX_BYTES_PER_INCIDENT = parseInt(process.env.EVIDENCE_MAX_BYTES_PER_INCIDENT) || 50 * 1024 * 1024;
+
+function quotaError(message) {
+    const error = new Error(message);
+    error.status = 413;
+    return error;
+}
+
+// Delete an uploaded file that will not be kept
+function discardUpload(file) {
+    if (file && file.path) {
+        fs.promises.unlink(file.path).catch(() => {});
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Evidence can be added while the incident is open, but not after the
+// tourist cancelled under duress (their phone may not be in their hands)
+function isUploadOpen(sosLog) {
+    return sosLog.isOpen && !sosLog.isDuress;
+}
+
+// Rejects early (before the upload is accepted) once an incident is full.
+// Resolves with an error message, or null when there is room.
+async function checkQuota(sosLogId) {
+    const usage = await SOSAttachment.getUsage(sosLogId);
+
+    if (usage.count >= MAX_FILES_PER_INCIDENT) {
+        return `This incident already has the maximum of ${MAX_FILES_PER_INCIDENT} attachments`;
+    }
+    if (usage.bytes >= MAX_BYTES_PER_INCIDENT) {
+        return 'This incident has reached its attachment storage limit';
+    }
+    return null;
+}
+
+// Keep an uploaded file as evidence on the incident; resolves with its client view.
+// Throws an error with status 413 when it would exceed the incident's quota.
+async function saveAttachment(sosLog, file, uploadedBy, caption) {
+    try {
+        const usage = await SOSAttachment.getUsage(sosLog._id);
+
+        if (usage.count + 1 > MAX_FILES_PER_INCIDENT || usage.bytes + file.size > MAX_BYTES_PER_INCIDENT) {
+            throw quotaError('Attachment would exceed this incident\'s storage limit');
+        }
+
+        const attachment = await SOSAttachment.create({
+            sosLogId: sosLog._id,
+            uploadedBy,
+            kind: getEvidenceKind(file.originalname, file.mimetype),
+            filename: file.filename,
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            sha256: await hashFile(file.path),
+            caption
+        });
+
+        await SOSLog.addTimelineEntry(sosLog._id, {
+            type: 'attachment',
+            message: `${uploadedBy.name || uploadedBy.kind} attached ${attachment.kind === 'audio' ? 'an audio clip' : 'a photo'}${caption ? `: ${caption}` : ''}`,
+            author: uploadedBy,
+            data: { attachmentId: attachment._id }
+        });
+
+        const view = toAttachmentView(attachment);
+        incidentEvents.publish(sosLog._id, 'attachment', view);
+
+        console.log(`📎 Evidence ${attachment._id} (${attachment.kind}, ${attachment.size} bytes) added to alert ${sosLog._id}`);
+        return view;
+    } catch (error) {
+        discardUpload(file);
+        throw error;
+    }
+}
+
+// Whether an admin account may see an incident's evidence: every admin,
+// but responders only for incidents assigned to them
+function canAdminAccess(admin, sosLog) {
+    if (admin.role !== 'responder') return true;
+    return !!(sosLog.assignedTo && sosLog.assignedTo.equals(admin._id));
+}
+
+// Attachment metadata safe to send to clients
+function toAttachmentView(attachment) {
+    return {
+        id: attachment._id,
+        kind: attachment.kind,
+        originalName: attachment.originalName,
+        mimetype: attachment.mimetype,
+        size: attachment.size,
+        sha256: attachment.sha256,
+        caption: attachment.caption,
+        uploadedBy: attachment.uploadedBy,
+        createdAt: attachment.createdAt
+    };
+}
+
+async function listAttachments(sosLogId) {
+    const attachments = await SOSAttachment.find({ sosLogId }).sort({ createdAt: 1 });
+    return attachments.map(toAttachmentView);
+}
+
+// Stream an attachment's file; responds 404 when it is not on this incident
+async function sendAttachmentFile(res, sosLogId, attachmentId) {
+    const attachment = await SOSAttachment.findOne({ _id: attachmentId, sosLogId }).select('+filename');
+
+    if (!attachment) {
+        return res.status(404).json({
+            success: false,
+            message: 'Attachment not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': attachment.mimetype,
+        'Content-Disposition': `inline; filename="${(attachment.originalName || attachment.filename).replace(/["\\\r\n]/g, '')}"`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, no-store'
+    });
+
+    res.sendFile(path.resolve(evidenceDir, path.basename(attachment.filename)), error => {
+        if (error && !res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Attachment file is missing'
+            });
+        }
+    });
+}
+
+module.exports = {
+    isUploadOpen,
+    checkQuota,
+    saveAttachment,
+    discardUpload,
+    canAdminAccess,
+    listAttachments,
+    sendAttachmentFile
+};
@@ -0,0 +1,117 @@
+// ===================================================================
+// SOS KEYWORD SERVICE - Raising Alerts by Plain SMS
+// ===================================================================
+// Lets a registered tourist with no data connection raise an SOS by
+// texting a keyword, optionally followed by where they are:
+//   "SOS", "MEDICAL", "POLICE", "HELP near Baga beach car park"
+// Texting again while an alert is open adds the location text to it.
+// New alerts go through the same deduplication and rate limits as app
+// triggers; the provider message ID makes a redelivered webhook a no-op.
+
+const SOSLog = require('../models/SOSLog');
+const User = require('../models/User');
+const notifications = require('./notifications');
+const { createOrFindSOSAlert } = require('./sosAlerts');
+const incidentEvents = require('./incidentEvents');
+const messageTemplates = require('./messageTemplates');
+
+// First word of the message -> alert type
+const KEYWORDS = {
+    'SOS': 'emergency',
+    'HELP': 'emergency',
+    'EMERGENCY': 'emergency',
+    'MEDICAL': 'medical',
+    'AMBULANCE': 'medical',
+    'POLICE': 'security',
+    'SECURITY': 'security',
+    'DISASTER': 'natural_disaster',
+    'FLOOD': 'natural_disaster'
+};
+
+const MAX_LOCATION_TEXT = 160;
+
+// Returns { alertType, locationText } for a keyword message, otherwise null
+function parseKeywordMessage(text) {
+    const match = (text || '').trim().match(/^([A-Za-z]+)\b[\s:,.-]*([\s\S]*)$/);
+    if (!match) return null;
+
+    const alertType = KEYWORDS[match[1].toUpperCase()];
+    if (!alertType) return null;
+
+    const locationText = match[2].replace(/\s+/g, ' ').trim().slice(0, MAX_LOCATION_TEXT);
+    return { alertType, locationText: locationText || null };
+}
+
+// Find the active user registered with the sending number
+function findUserByPhone(from) {
+    const candidates = [...new Set([from, notifications.formatPhoneNumber(from)])].filter(Boolean);
+    return User.findOne({ phoneNumber: { $in: candidates }, isActive: true });
+}
+
+// Handle an inbound keyword SMS. Resolves with the reply text, or null
+// when the message is not a keyword (so other handlers can try it).
+async function handleKeywordSMS(from, text, { messageSid } = {}) {
+    const parsed = parseKeywordMessage(text);
+    if (!parsed) return null;
+
+    const user = await findUserByPhone(from);
+    if (!user) {
+        console.log(`⚠️ SOS keyword from unregistered number ${from}`);
+        // Generic on purpose: never reveals whether a number is registered
+        return messageTemplates.render('sos.keyword.unknownSender');
+    }
+
+    // One open alert at a time: further texts update the reported location
+    const openAlert = await SOSLog.findOne({
+        userId: user._id,
+        status: { $in: SOSLog.OPEN_STATUSES },
+        'duress.triggeredAt': null,
+        isDrill: { $ne: true }
+    }).sort({ timestamp: -1 }).select('_id');
+
+    if (openAlert) {
+        if (parsed.locationText) {
+            await SOSLog.updateOne({ _id: openAlert._id }, { $set: { locationDescription: parsed.locationText } });
+            await SOSLog.addTimelineEntry(openAlert._id, {
+                type: 'location',
+                message: `Traveller texted their location: "${parsed.locationText}"`,
+                author: { kind: 'user', id: user._id, name: user.username },
+                data: { locationDescription: parsed.locationText }
+            });
+            incidentEvents.publish(openAlert._id, 'location-text', { locationDescription: parsed.locationText });
+        }
+
+        return messageTemplates.render(parsed.locationText ? 'sos.keyword.locationAdded' : 'sos.keyword.stillActive', {}, user);
+    }
+
+    const lastKnown = user.lastKnownLocation;
+    const location = lastKnown && lastKnown.latitude != null
+        ? { latitude: lastKnown.latitude, longitude: lastKnown.longitude, accuracy: lastKnown.accuracy }
+        : null;
+
+    const { sosLog, created, throttled } = await createOrFindSOSAlert(user, {
+        location,
+        alertType: parsed.alertType,
+        source: 'sms',
+        locationDescription: parsed.locationText,
+        clientAlertId: messageSid
+    });
+
+    if (!created) {
+        return messageTemplates.render('sos.keyword.stillActive', {}, user);
+    }
+
+    console.log(`🚨 SOS raised by SMS keyword from ${user.username}: ${sosLog._id} (${parsed.alertType})${throttled ? ' - over the rate limit' : ''}`);
+
+    if (throttled) {
+        return messageTemplates.render('sos.keyword.sentThrottled', {}, user);
+    }
+    return messageTemplates.render(parsed.locationText ? 'sos.keyword.sent' : 'sos.keyword.sentNoLocation', {}, user);
+}
+
+module.exports = {
+    KEYWORDS,
+    parseKeywordMessage,
+    findUserByPhone,
+    handleKeywordSMS
+};
@@ -0,0 +1,205 @@
+// ===================================================================
+// SOS SYNC SERVICE - Idempotent & Offline-Queued Submissions
+// ===================================================================
+// Clients tag each alert with a clientAlertId so retries never create a
+// second incident or a second round of SMS. A PWA that was offline
+// uploads its queued alerts and location pings in one batch; alerts
+// that already reached us are matched up, not re-triggered.
+
+const mongoose = require('mongoose');
+const SOSLog = require('../models/SOSLog');
+const User = require('../models/User');
+const incidentEvents = require('./incidentEvents');
+const { createOrFindSOSAlert } = require('./sosAlerts');
+
+const MAX_ALERTS_PER_SYNC = 20;
+const MAX_LOCATIONS_PER_SYNC = 500;
+
+// Device clocks drift; timestamps further ahead than this are treated as "now"
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const CLIENT_ALERT_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// UUIDs and similar opaque client IDs
+function isValidClientAlertId(value) {
+    return typeof value === 'string' && CLIENT_ALERT_ID_PATTERN.test(value);
+}
+
+// Resolves a device-reported time: now when absent, null when unparseable
+function parseDeviceTimestamp(value) {
+    if (value == null || value === '') return new Date();
+
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+
+    return date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS ? new Date() : date;
+}
+
+// Resolves { latitude, longitude, accuracy } or null when the coordinates are invalid
+function parseCoordinates({ latitude, longitude, accuracy } = {}) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+
+    const acc = parseFloat(accuracy);
+    return { latitude: lat, longitude: lng, accuracy: isNaN(acc) ? undefined : acc };
+}
+
+// Raise (or match up) one queued alert
+async function syncAlert(user, item) {
+    const clientAlertId = item && item.clientAlertId;
+
+    if (!isValidClientAlertId(clientAlertId)) {
+        return { clientAlertId, result: 'rejected', message: 'A valid clientAlertId is required' };
+    }
+
+    if (item.alertType && !SOSLog.schema.path('alertType').enumValues.includes(item.alertType)) {
+        return { clientAlertId, result: 'rejected', message: 'Invalid alert type' };
+    }
+
+    const timestamp = parseDeviceTimestamp(item.timestamp);
+    if (!timestamp) {
+        return { clientAlertId, result: 'rejected', message: 'Invalid timestamp' };
+    }
+
+    const location = item.location ? parseCoordinates(item.location) : null;
+    if (item.location && !location) {
+        return { clientAlertId, result: 'rejected', message: 'Invalid coordinates' };
+    }
+
+    const { sosLog, created, merged, throttled } = await createOrFindSOSAlert(user, {
+        location,
+        timestamp,
+        deviceTimestamp: item.timestamp ? timestamp : undefined,
+        alertType: item.alertType,
+        source: 'app',
+        clientAlertId
+    });
+
+    let result = created ? 'created' : 'duplicate';
+    if (merged) result = 'merged';
+
+    // Raised over the rate limit: the alert exists but only reached responders
+    if (throttled) {
+        return {
+            clientAlertId,
+            result: 'throttled',
+            message: 'Too many emergency alerts in a short time - sent to responders only',
+            alertId: sosLog._id,
+            status: sosLog.getUserStatus()
+        };
+    }
+
+    return {
+        clientAlertId,
+        result,
+        alertId: sosLog._id,
+        status: sosLog.getUserStatus()
+    };
+}
+
+// Merge queued pings into their alerts' trails and the user's last known location
+async function syncLocations(user, items, alertIdsByClientId) {
+    const rejected = [];
+    const byAlert = new Map();
+    let latest = null;
+    let accepted = 0;
+
+    items.forEach((item, index) => {
+        const point = item ? parseCoordinates(item) : null;
+        const recordedAt = parseDeviceTimestamp(item && item.timestamp);
+
+        if (!point || !recordedAt) {
+            rejected.push({ index, message: point ? 'Invalid timestamp' : 'Invalid coordinates' });
+            return;
+        }
+
+        point.recordedAt = recordedAt;
+        if (!latest || recordedAt > latest.recordedAt) latest = point;
+
+        // Pings may belong to an alert by server ID or by the clientAlertId it was queued with
+        const alertId = item.alertId || alertIdsByClientId.get(item.clientAlertId);
+        if (!item.alertId && !item.clientAlertId) {
+            accepted++;
+            return;
+        }
+        if (!alertId || !mongoose.isValidObjectId(alertId)) {
+            rejected.push({ index, message: 'Unknown alert' });
+            return;
+        }
+
+        const key = alertId.toString();
+        if (!byAlert.has(key)) byAlert.set(key, []);
+        byAlert.get(key).push({ index, point });
+    });
+
+    for (const [alertId, entries] of byAlert) {
+        const points = entries.map(entry => entry.point);
+        const sosLog = await SOSLog.appendQueuedLocations({ _id: alertId, userId: user._id }, points);
+
+        if (!sosLog) {
+            entries.forEach(entry => rejected.push({ index: entry.index, message: 'Alert not found or no longer active' }));
+            continue;
+        }
+
+        accepted += entries.length;
+
+        incidentEvents.publish(sosLog._id, 'location', {
+            location: sosLog.location,
+            recordedAt: sosLog.lastLocationAt
+        });
+        await SOSLog.addLocationToTimeline(sosLog._id, {
+            latitude: sosLog.location.latitude,
+            longitude: sosLog.location.longitude,
+            accuracy: sosLog.location.accuracy,
+            recordedAt: sosLog.lastLocationAt
+        });
+    }
+
+    if (latest) {
+        await User.recordLocation(user._id, latest);
+    }
+
+    return { accepted, rejected: rejected.sort((a, b) => a.index - b.index) };
+}
+
+// Upload an offline queue: { alerts: [...], locations: [...] }.
+// Alerts are handled first so pings can refer to them by clientAlertId.
+async function syncOfflineQueue(user, { alerts = [], locations = [] }) {
+    const alertResults = [];
+    const alertIdsByClientId = new Map();
+
+    for (const item of alerts) {
+        const result = await syncAlert(user, item);
+        alertResults.push(result);
+        if (result.alertId) alertIdsByClientId.set(result.clientAlertId, result.alertId);
+    }
+
+    // Pings may also belong to alerts sent in an earlier sync
+    const unresolved = [...new Set(locations
+        .map(item => item && item.clientAlertId)
+        .filter(id => isValidClientAlertId(id) && !alertIdsByClientId.has(id)))];
+
+    if (unresolved.length > 0) {
+        const earlier = await SOSLog.find({ userId: user._id, clientAlertId: { $in: unresolved } }).select('_id clientAlertId');
+        earlier.forEach(sosLog => alertIdsByClientId.set(sosLog.clientAlertId, sosLog._id));
+    }
+
+    const locationResults = await syncLocations(user, locations, alertIdsByClientId);
+
+    const created = alertResults.filter(result => ['created', 'throttled'].includes(result.result)).length;
+    console.log(`🔄 Offline sync from ${user.username}: ${created}/${alerts.length} alerts raised, ${locationResults.accepted}/${locations.length} locations stored`);
+
+    return { alerts: alertResults, locations: locationResults };
+}
+
+module.exports = {
+    MAX_ALERTS_PER_SYNC,
+    MAX_LOCATIONS_PER_SYNC,
+    isValidClientAlertId,
+    parseDeviceTimestamp,
+    syncOfflineQueue
+};
@@ -0,0 +1,102 @@
+// ===================================================================
+// SOS TRACKING SERVICE - Public Live-Tracking Links
+// ===================================================================
+// Each incident gets an unguessable, expiring token that emergency
+// contacts can open without an account. Links stop working once the
+// incident is closed, the token expires, or it is revoked.
+
+const crypto = require('crypto');
+const SOSLog = require('../models/SOSLog');
+const incidentEvents = require('./incidentEvents');
+
+const TRACKING_TTL_MS = (parseFloat(process.env.SOS_TRACKING_TTL_HOURS) || 48) * 60 * 60 * 1000;
+
+function getBaseUrl() {
+    return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+}
+
+// Generate a tracking token on the incident (caller saves it)
+function issueTrackingToken(sosLog) {
+    const token = crypto.randomBytes(18).toString('base64url');
+
+    sosLog.tracking = {
+        token,
+        expiresAt: new Date(Date.now() + TRACKING_TTL_MS)
+    };
+
+    return token;
+}
+
+function buildTrackingUrl(token) {
+    return `${getBaseUrl()}/track/${token}`;
+}
+
+// The incident's tracking URL while its link is usable, otherwise null.
+// Needs tracking.token to have been selected.
+function getActiveTrackingUrl(sosLog) {
+    const tracking = sosLog.tracking;
+    if (!tracking || !tracking.token || tracking.revokedAt) return null;
+    if (tracking.expiresAt && tracking.expiresAt < new Date()) return null;
+    return buildTrackingUrl(tracking.token);
+}
+
+// Resolve a token to its incident.
+// Resolves with { sosLog } or { error } ('invalid', 'revoked', 'expired', 'closed').
+async function findByTrackingToken(token) {
+    if (typeof token !== 'string' || token.length < 16) return { error: 'invalid' };
+
+    const sosLog = await SOSLog.findOne({ 'tracking.token': token }).select('-locationTrail');
+    if (!sosLog) return { error: 'invalid' };
+    if (sosLog.tracking.revokedAt) return { error: 'revoked' };
+    if (sosLog.tracking.expiresAt && sosLog.tracking.expiresAt < new Date()) return { error: 'expired' };
+    if (!sosLog.isOpen || sosLog.isDuress) return { error: 'closed' };
+
+    return { sosLog };
+}
+
+// Revoke the incident's tracking link; returns false if it was already revoked
+async function revokeTracking(sosLogId, revokedBy, admin) {
+    const result = await SOSLog.updateOne(
+        { _id: sosLogId, 'tracking.expiresAt': { $exists: true }, 'tracking.revokedAt': null },
+        { $set: { 'tracking.revokedAt': new Date(), 'tracking.revokedBy': revokedBy } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    incidentEvents.publish(sosLogId, 'tracking-revoked', { revokedBy });
+
+    await SOSLog.addTimelineEntry(sosLogId, {
+        type: 'tracking',
+        message: `Public tracking link turned off by ${admin ? admin.username : 'the traveller'}`,
+        author: admin ? { kind: 'admin', id: admin._id, name: admin.username } : { kind: 'user' }
+    });
+    return true;
+}
+
+// What contacts may see of an incident through a tracking link
+function toPublicView(sosLog) {
+    return {
+        firstName: (sosLog.userInfo.fullName || '').split(' ')[0],
+        status: sosLog.status,
+        alertType: sosLog.alertType,
+        triggeredAt: sosLog.timestamp,
+        location: sosLog.location && sosLog.location.latitude != null ? sosLog.location : null,
+        locationDescription: sosLog.locationDescription || null,
+        lastLocationAt: sosLog.lastLocationAt || sosLog.timestamp,
+        acknowledged: sosLog.isAcknowledged(),
+        acknowledgements: sosLog.acknowledgements.map(acknowledgement => ({
+            name: acknowledgement.name,
+            role: acknowledgement.role,
+            acknowledgedAt: acknowledgement.acknowledgedAt
+        }))
+    };
+}
+
+module.exports = {
+    issueTrackingToken,
+    buildTrackingUrl,
+    getActiveTrackingUrl,
+    findByTrackingToken,
+    revokeTracking,
+    toPublicView
+};
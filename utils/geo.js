@@ -0,0 +1,215 @@
+// ===================================================================
+// GEO UTILITIES - GeoJSON Validation & Point-in-Shape Checks
+// ===================================================================
+// Shared by restricted areas and responder jurisdictions. Positions are
+// GeoJSON [longitude, latitude] pairs; distances are in meters.
+
+const EARTH_RADIUS_M = 6371008.8;
+
+// Upper bound on vertices across all rings of one geometry
+const MAX_POLYGON_VERTICES = parseInt(process.env.MAX_POLYGON_VERTICES) || 1000;
+
+function isValidPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        position[0] >= -180 && position[0] <= 180 &&
+        position[1] >= -90 && position[1] <= 90;
+}
+
+// A linear ring must have at least 4 positions and end where it starts
+function isClosedRing(ring) {
+    if (!Array.isArray(ring) || ring.length < 4) return false;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+}
+
+function orientation(a, b, c) {
+    const value = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]);
+    if (value === 0) return 0;
+    return value > 0 ? 1 : 2;
+}
+
+function onSegment(a, b, c) {
+    return b[0] <= Math.max(a[0], c[0]) && b[0] >= Math.min(a[0], c[0]) &&
+        b[1] <= Math.max(a[1], c[1]) && b[1] >= Math.min(a[1], c[1]);
+}
+
+function segmentsIntersect(p1, q1, p2, q2) {
+    const o1 = orientation(p1, q1, p2);
+    const o2 = orientation(p1, q1, q2);
+    const o3 = orientation(p2, q2, p1);
+    const o4 = orientation(p2, q2, q1);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+
+    // Collinear overlaps
+    return (o1 === 0 && onSegment(p1, p2, q1)) ||
+        (o2 === 0 && onSegment(p1, q2, q1)) ||
+        (o3 === 0 && onSegment(p2, p1, q2)) ||
+        (o4 === 0 && onSegment(p2, q1, q2));
+}
+
+// True when two non-adjacent edges of a closed ring cross or touch
+function isSelfIntersecting(ring) {
+    const edges = ring.length - 1;
+
+    for (let i = 0; i < edges; i++) {
+        for (let j = i + 1; j < edges; j++) {
+            // Neighbouring edges share a vertex, as do the first and last
+            if (j === i + 1 || (i === 0 && j === edges - 1)) continue;
+            if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+// True when any edge of one ring crosses or touches an edge of another
+function ringsIntersect(ringA, ringB) {
+    for (let i = 0; i < ringA.length - 1; i++) {
+        for (let j = 0; j < ringB.length - 1; j++) {
+            if (segmentsIntersect(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1])) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+// Holes must sit inside their outer ring without touching it, each other,
+// or lying within another hole. Rings that don't intersect are either
+// nested or apart, so one vertex settles which.
+function getHoleError([outer, ...holes]) {
+    for (let i = 0; i < holes.length; i++) {
+        if (ringsIntersect(outer, holes[i])) {
+            return 'Holes must not cross or touch the outer ring';
+        }
+        if (!isPointInRing(holes[i][0], outer)) {
+            return 'Holes must lie inside the outer ring';
+        }
+
+        for (let j = i + 1; j < holes.length; j++) {
+            if (ringsIntersect(holes[i], holes[j])) {
+                return 'Holes must not cross or touch each other';
+            }
+            if (isPointInRing(holes[j][0], holes[i]) || isPointInRing(holes[i][0], holes[j])) {
+                return 'Holes must not lie inside other holes';
+            }
+        }
+    }
+
+    return null;
+}
+
+// Check a GeoJSON Polygon or MultiPolygon.
+// Returns an error message, or null when the geometry is usable.
+function validatePolygonGeometry(geometry) {
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+        return 'Geometry must be a GeoJSON Polygon or MultiPolygon';
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+        return 'Geometry has no coordinates';
+    }
+
+    let vertices = 0;
+    for (const polygon of polygons) {
+        if (!Array.isArray(polygon) || polygon.length === 0) {
+            return 'Each polygon needs at least one ring';
+        }
+
+        for (const ring of polygon) {
+            if (!Array.isArray(ring) || !ring.every(isValidPosition)) {
+                return 'Positions must be [longitude, latitude] within valid ranges';
+            }
+            if (!isClosedRing(ring)) {
+                return 'Rings must be closed and have at least 4 positions';
+            }
+            if (new Set(ring.slice(0, -1).map(position => `${position[0]},${position[1]}`)).size < 3) {
+                return 'Rings need at least 3 distinct positions';
+            }
+
+            vertices += ring.length - 1;
+            if (vertices > MAX_POLYGON_VERTICES) {
+                return `Geometry has more than ${MAX_POLYGON_VERTICES} vertices`;
+            }
+
+            if (isSelfIntersecting(ring)) {
+                return 'Rings must not intersect themselves';
+            }
+        }
+
+        const holeError = getHoleError(polygon);
+        if (holeError) {
+            return holeError;
+        }
+    }
+
+    return null;
+}
+
+// Ray casting; points exactly on an edge may land either side
+function isPointInRing([longitude, latitude], ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > latitude) !== (yj > latitude) &&
+            longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+// Inside the outer ring and outside every hole of any polygon
+function isPointInGeometry(point, geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+    return polygons.some(([outer, ...holes]) =>
+        isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole))
+    );
+}
+
+// Great-circle distance between two [longitude, latitude] positions
+function distanceBetween([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Centre of a geometry's bounding box, as a [longitude, latitude] position
+function getGeometryCentre(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const positions = polygons.flatMap(polygon => polygon[0]);
+
+    const longitudes = positions.map(position => position[0]);
+    const latitudes = positions.map(position => position[1]);
+
+    return [
+        (Math.min(...longitudes) + Math.max(...longitudes)) / 2,
+        (Math.min(...latitudes) + Math.max(...latitudes)) / 2
+    ];
+}
+
+module.exports = {
+    MAX_POLYGON_VERTICES,
+    isValidPosition,
+    isClosedRing,
+    isSelfIntersecting,
+    validatePolygonGeometry,
+    isPointInGeometry,
+    distanceBetween,
+    getGeometryCentre
+};